@@ -6,14 +6,32 @@ import { Server } from 'socket.io'
 
 // Import routes
 import clansRouter from './routes/clans.js'
+import playersRouter from './routes/players.js'
 import sheetsRouter from './routes/sheets.js'
 import cwlRouter from './routes/cwl.js'
 import statsRouter from './routes/stats.js'
 import imagesRouter from './routes/images.js'
 import cacheRouter from './routes/cache.js'
+import authRouter from './routes/auth.js'
+import warsRouter from './routes/wars.js'
+import socketsRouter from './routes/sockets.js'
 
 // Import services
 import { cacheService } from './services/cacheService.js'
+import { getApiKeys } from './services/authService.js'
+import { getCoCClientStatus, getRateLimiterStats } from './services/clashOfClansService.js'
+import { metricsMiddleware, getMetrics, metricsContentType } from './services/metricsService.js'
+import { startCacheWarmer, stopCacheWarmer, getCacheWarmerStatus } from './services/cacheWarmerService.js'
+import { startFamilyTracker, stopFamilyTracker, getFamilyTrackerStatus } from './services/familyTrackerService.js'
+import { startWarWatcher, stopWarWatcher, getWarWatcherStatus } from './services/warWatcherService.js'
+import { startClanFeed, stopClanFeed, getClanFeedStatus } from './services/clanFeedService.js'
+import { startWarFeed, stopWarFeed, getWarFeedStatus } from './services/warFeedService.js'
+import { startMissedFeed, stopMissedFeed, getMissedFeedStatus } from './services/missedFeedService.js'
+import { attachSocketServer } from './services/socketService.js'
+
+// Import middleware
+import { cacheStatus } from './middleware/cacheStatus.js'
+import { errorHandler } from './middleware/errorHandler.js'
 
 // Load environment variables
 dotenv.config()
@@ -31,8 +49,12 @@ const io = new Server(httpServer, {
 })
 
 // Middleware
-app.use(cors())
+app.use(cors({
+  exposedHeaders: ['X-Cache-Status'] // Let the frontend read data freshness
+}))
 app.use(express.json())
+app.use(cacheStatus)
+app.use(metricsMiddleware)
 
 // Request logging middleware
 app.use((req, res, next) => {
@@ -46,11 +68,15 @@ app.use((req, res, next) => {
 
 // Routes
 app.use('/api/clans', clansRouter)
+app.use('/api/players', playersRouter)
 app.use('/api/sheets', sheetsRouter)
 app.use('/api/cwl', cwlRouter)
 app.use('/api/stats', statsRouter)
 app.use('/api/images', imagesRouter)
 app.use('/api/cache', cacheRouter)
+app.use('/api/auth', authRouter)
+app.use('/api/wars', warsRouter)
+app.use('/api/sockets', socketsRouter)
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -59,11 +85,33 @@ app.get('/api/health', (req, res) => {
     status: 'ok', 
     message: 'Server is running',
     cache: cacheStats,
+    warmer: getCacheWarmerStatus(),
+    tracker: getFamilyTrackerStatus(),
+    warWatcher: getWarWatcherStatus(),
+    clanFeed: getClanFeedStatus(),
+    warFeed: getWarFeedStatus(),
+    missedFeed: getMissedFeedStatus(),
+    coc: getCoCClientStatus(),
+    rateLimiter: getRateLimiterStats(),
     uptime: process.uptime(),
     timestamp: new Date().toISOString()
   })
 })
 
+// Prometheus metrics endpoint
+app.get('/metrics', async (req, res) => {
+  try {
+    res.set('Content-Type', metricsContentType)
+    res.end(await getMetrics())
+  } catch (error) {
+    console.error('Error collecting metrics:', error)
+    res.status(500).json({
+      error: 'Failed to collect metrics',
+      message: error.message
+    })
+  }
+})
+
 // Root endpoint
 app.get('/', (req, res) => {
   res.json({
@@ -71,46 +119,62 @@ app.get('/', (req, res) => {
     version: '2.0.0',
     endpoints: {
       health: '/api/health',
+      metrics: '/metrics',
       clans: '/api/clans',
+      players: '/api/players',
       sheets: '/api/sheets',
       cwl: '/api/cwl',
       stats: '/api/stats',
       images: '/api/images',
-      cache: '/api/cache'
+      cache: '/api/cache',
+      auth: '/api/auth',
+      wars: '/api/wars',
+      sockets: '/api/sockets'
     }
   })
 })
 
-// WebSocket connection handling
-io.on('connection', (socket) => {
-  console.log('🔌 Client connected:', socket.id)
-
-  socket.on('subscribe:clan', (clanTag) => {
-    socket.join(`clan:${clanTag}`)
-    console.log(`📡 Client ${socket.id} subscribed to clan ${clanTag}`)
-  })
-
-  socket.on('unsubscribe:clan', (clanTag) => {
-    socket.leave(`clan:${clanTag}`)
-    console.log(`📡 Client ${socket.id} unsubscribed from clan ${clanTag}`)
-  })
-
-  socket.on('disconnect', () => {
-    console.log('🔌 Client disconnected:', socket.id)
-  })
-})
+// WebSocket connection handling (handshake auth, limits, clan:<tag> and war:<tag> channels)
+attachSocketServer(io)
 
 // Export io for use in other modules if needed
 export { io }
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error('❌ Error:', err.stack)
-  res.status(500).json({ 
-    error: 'Something went wrong!', 
-    message: err.message 
-  })
-})
+// Error handling middleware (typed errors -> status code + stable error code)
+app.use(errorHandler)
+
+// Restore cache snapshot before accepting traffic so restarts don't start cold
+try {
+  const restored = await cacheService.restore()
+  if (restored > 0) {
+    console.log(`💾 Restored ${restored} cache entries from snapshot`)
+  }
+} catch (error) {
+  console.error('❌ Failed to restore cache snapshot:', error.message)
+}
+
+cacheService.startSnapshots(parseInt(process.env.CACHE_SNAPSHOT_INTERVAL) || 300)
+
+// Save cache snapshot on shutdown
+const shutdown = async (signal) => {
+  console.log(`🛑 ${signal} received, saving cache snapshot...`)
+  stopCacheWarmer()
+  stopFamilyTracker()
+  stopWarWatcher()
+  stopClanFeed()
+  stopWarFeed()
+  stopMissedFeed()
+  try {
+    const saved = await cacheService.snapshot()
+    console.log(`💾 Saved ${saved} cache entries`)
+  } catch (error) {
+    console.error('❌ Failed to save cache snapshot:', error.message)
+  }
+  process.exit(0)
+}
+
+process.once('SIGINT', () => shutdown('SIGINT'))
+process.once('SIGTERM', () => shutdown('SIGTERM'))
 
 // Start server
 httpServer.listen(PORT, () => {
@@ -118,7 +182,16 @@ httpServer.listen(PORT, () => {
   console.log(`📍 Server running on port ${PORT}`)
   console.log(`🌐 API available at http://localhost:${PORT}`)
   console.log(`🔌 WebSocket available`)
-  console.log(`💾 Cache system initialized`)
+  console.log(`💾 Cache system initialized (${cacheService.getStats().driver} driver)`)
+  if (getApiKeys().length === 0) {
+    console.warn('⚠️ No API_KEYS configured, cache admin endpoints will reject all requests')
+  }
+  startCacheWarmer()
+  startFamilyTracker()
+  startWarWatcher()
+  startClanFeed(io)
+  startWarFeed(io)
+  startMissedFeed(io)
   console.log('✅ Ready to accept connections')
 })
 
@@ -0,0 +1,76 @@
+import { authenticate, authenticateApiKey, hasRole } from '../services/authService.js'
+import { ForbiddenError, UnauthorizedError } from '../utils/errors.js'
+
+/**
+ * Read the credential from "Authorization: Bearer <key>" or "X-API-Key: <key>"
+ * @param {Object} req - Express request
+ * @returns {string|null} Credential or null
+ */
+const getCredential = (req) => {
+  const header = req.get('Authorization') || ''
+  const [scheme, token] = header.split(' ')
+
+  if (scheme?.toLowerCase() === 'bearer' && token) {
+    return token.trim()
+  }
+
+  return req.get('X-API-Key')?.trim() || null
+}
+
+/**
+ * Require an API key with at least the given role
+ * Player session tokens are not accepted: their role comes from the game,
+ * not from an operator, so they can't reach cache or admin routes
+ * Sets req.auth to the key's principal ({ type, name, role })
+ * @param {string} role - Minimum role ("viewer", "leader" or "admin")
+ * @returns {Function} Express middleware
+ */
+export const requireRole = (role) => (req, res, next) => {
+  const credential = getCredential(req)
+
+  if (!credential) {
+    res.set('WWW-Authenticate', 'Bearer')
+    return next(new UnauthorizedError('An API key or bearer token is required'))
+  }
+
+  const principal = authenticateApiKey(credential)
+
+  if (!principal) {
+    res.set('WWW-Authenticate', 'Bearer error="invalid_token"')
+    return next(new UnauthorizedError('Invalid API key or bearer token'))
+  }
+
+  if (!hasRole(principal.role, role)) {
+    return next(new ForbiddenError(`This action requires the ${role} role`))
+  }
+
+  req.auth = principal
+  next()
+}
+
+/**
+ * Require a player session (a village verified with its in-game API token)
+ * Sets req.auth to the player principal ({ type, name, role, accounts, playerTags })
+ */
+export const requireVerifiedPlayer = (req, res, next) => {
+  const principal = authenticate(getCredential(req))
+
+  if (!principal || principal.type !== 'player') {
+    res.set('WWW-Authenticate', 'Bearer')
+    return next(new UnauthorizedError('A verified player session is required'))
+  }
+
+  req.auth = principal
+  next()
+}
+
+/**
+ * Attach the caller's principal to req.auth when a valid credential is sent,
+ * without rejecting anonymous requests
+ */
+export const optionalAuth = (req, res, next) => {
+  req.auth = authenticate(getCredential(req))
+  next()
+}
+
+export default requireRole
@@ -0,0 +1,22 @@
+import { cacheService } from '../services/cacheService.js'
+
+/**
+ * Adds an X-Cache-Status header ("fresh" or "stale") to JSON responses
+ * "stale" means at least part of the data is past its soft TTL and
+ * a background refresh is running, so the frontend can show a hint
+ */
+export const cacheStatus = (req, res, next) => {
+  const tracker = { status: null }
+
+  const json = res.json.bind(res)
+  res.json = (body) => {
+    if (tracker.status && !res.headersSent) {
+      res.set('X-Cache-Status', tracker.status)
+    }
+    return json(body)
+  }
+
+  cacheService.trackStatus(tracker, next)
+}
+
+export default cacheStatus
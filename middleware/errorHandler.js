@@ -0,0 +1,53 @@
+import { STATUS_CODES } from 'http'
+import { AppError } from '../utils/errors.js'
+
+/**
+ * Wrap an async route handler so rejected promises reach the error handler
+ * @param {Function} handler - Async Express handler
+ * @returns {Function} Express handler
+ */
+export const asyncHandler = (handler) => (req, res, next) => {
+  Promise.resolve(handler(req, res, next)).catch(next)
+}
+
+/**
+ * Central error handler
+ * Responds with { error, code, message } and the status of typed errors,
+ * anything else is an unexpected 500
+ */
+export const errorHandler = (err, req, res, next) => {
+  if (res.headersSent) {
+    return next(err)
+  }
+
+  let status = 500
+  let code = 'INTERNAL_ERROR'
+
+  if (err instanceof AppError) {
+    status = err.status
+    code = err.code
+  } else if (err.type === 'entity.parse.failed') {
+    // Malformed JSON body from express.json()
+    status = 400
+    code = 'VALIDATION_ERROR'
+  }
+
+  if (status >= 500) {
+    console.error(`❌ ${req.method} ${req.originalUrl} - ${status} ${code}:`, err.stack)
+  } else {
+    console.warn(`⚠️ ${req.method} ${req.originalUrl} - ${status} ${code}: ${err.message}`)
+  }
+
+  if (err.retryAfter) {
+    res.set('Retry-After', String(err.retryAfter))
+  }
+
+  res.status(status).json({
+    error: STATUS_CODES[status],
+    code,
+    message: err.message,
+    ...err.details
+  })
+}
+
+export default errorHandler
@@ -0,0 +1,16 @@
+import { parseTag } from '../utils/tags.js'
+
+/**
+ * Router param handler canonicalizing tag params (router.param('clanTag', tagParam))
+ * Invalid tags are rejected with a 400 before any upstream call
+ */
+export const tagParam = (req, res, next, value, name) => {
+  try {
+    req.params[name] = parseTag(value, name)
+    next()
+  } catch (error) {
+    next(error)
+  }
+}
+
+export default tagParam
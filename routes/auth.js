@@ -0,0 +1,41 @@
+import express from 'express'
+import { linkVerifiedPlayer } from '../services/authService.js'
+import { optionalAuth, requireVerifiedPlayer } from '../middleware/auth.js'
+import { asyncHandler } from '../middleware/errorHandler.js'
+import { UnauthorizedError, ValidationError } from '../utils/errors.js'
+import { parseTag } from '../utils/tags.js'
+
+const router = express.Router()
+
+// Verify village ownership with the in-game API token and issue a session
+// Send an existing session as bearer token to link another account to it
+router.post('/verify-player', optionalAuth, asyncHandler(async (req, res) => {
+  const { playerTag, token } = req.body
+
+  if (!playerTag || !token) {
+    throw new ValidationError('playerTag and token are required')
+  }
+
+  const session = await linkVerifiedPlayer(parseTag(playerTag, 'playerTag'), token, req.auth)
+
+  if (!session) {
+    throw new UnauthorizedError('Invalid API token for this player')
+  }
+
+  res.json({
+    success: true,
+    ...session
+  })
+}))
+
+// Get the current player session
+router.get('/session', requireVerifiedPlayer, (req, res) => {
+  const { role, accounts } = req.auth
+  res.json({
+    success: true,
+    role,
+    accounts
+  })
+})
+
+export default router
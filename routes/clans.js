@@ -6,91 +6,159 @@ import {
   getWarLog,
   getCapitalRaidSeasons
 } from '../services/clashOfClansService.js'
+import { getRosterEvents, ROSTER_EVENT_TYPES } from '../services/rosterHistoryService.js'
+import { getMissedAttacks, getFamilyMissedAttacks } from '../services/missedAttacksService.js'
+import { getInactiveMembers, getFamilyInactiveMembers, ACTIVITY_SIGNALS } from '../services/activityService.js'
+import { asyncHandler } from '../middleware/errorHandler.js'
+import { tagParam } from '../middleware/tagParam.js'
+import { NotFoundError, ValidationError } from '../utils/errors.js'
+import { parseTag, partitionTags } from '../utils/tags.js'
+import { parseDateRange } from '../utils/dates.js'
 
 const router = express.Router()
 
-// Get a single clan by tag
-router.get('/:clanTag', async (req, res) => {
-  try {
-    const { clanTag } = req.params
-    const clan = await getClanDetails(clanTag)
-    res.json(clan)
-  } catch (error) {
-    console.error('Error fetching clan:', error)
-    res.status(500).json({ 
-      error: 'Failed to fetch clan data', 
-      message: error.message 
-    })
+// Canonicalize tags and reject invalid ones before any upstream call
+router.param('clanTag', tagParam)
+
+/**
+ * Read roster history filters from the query string
+ * ?from=&to=&type=join,leave&player=&limit=
+ * @param {Object} query - Express req.query
+ * @returns {Object} Filters for getRosterEvents
+ */
+const parseHistoryFilters = (query) => {
+  const types = query.type ? query.type.split(',').map(type => type.trim()) : []
+  const unknownTypes = types.filter(type => !ROSTER_EVENT_TYPES.includes(type))
+
+  if (unknownTypes.length > 0) {
+    throw new ValidationError(`Unknown event type: ${unknownTypes.join(', ')} (expected ${ROSTER_EVENT_TYPES.join(', ')})`)
+  }
+
+  const limit = query.limit === undefined ? undefined : parseInt(query.limit)
+
+  if (limit !== undefined && !(limit > 0)) {
+    throw new ValidationError('limit must be a positive number')
+  }
+
+  return {
+    ...parseDateRange(query),
+    types,
+    playerTag: query.player ? parseTag(query.player, 'player') : undefined,
+    limit
   }
-})
+}
+
+/**
+ * Read inactivity options from the query string
+ * ?days=7&signals=donations,warStars
+ * @param {Object} query - Express req.query
+ * @returns {Object} Options for getInactiveMembers
+ */
+const parseInactivityOptions = (query) => {
+  const days = query.days === undefined ? 7 : Number(query.days)
+
+  if (!(days > 0)) {
+    throw new ValidationError('days must be a positive number')
+  }
+
+  const signals = query.signals ? query.signals.split(',').map(signal => signal.trim()) : ACTIVITY_SIGNALS
+  const unknownSignals = signals.filter(signal => !ACTIVITY_SIGNALS.includes(signal))
+
+  if (unknownSignals.length > 0) {
+    throw new ValidationError(`Unknown signal: ${unknownSignals.join(', ')} (expected ${ACTIVITY_SIGNALS.join(', ')})`)
+  }
+
+  return { days, signals }
+}
+
+// Get roster events of every family clan (defined before /:clanTag)
+router.get('/history', asyncHandler(async (req, res) => {
+  const history = await getRosterEvents(parseHistoryFilters(req.query))
+  res.json(history)
+}))
+
+// Get inactive members of every family clan (defined before /:clanTag)
+router.get('/inactive', asyncHandler(async (req, res) => {
+  const report = await getFamilyInactiveMembers(parseInactivityOptions(req.query))
+  res.json(report)
+}))
+
+// Get remaining / missed war attacks of every family clan (defined before /:clanTag)
+router.get('/war/missed', asyncHandler(async (req, res) => {
+  const report = await getFamilyMissedAttacks()
+  res.json(report)
+}))
+
+// Get a single clan by tag
+router.get('/:clanTag', asyncHandler(async (req, res) => {
+  const { clanTag } = req.params
+  const clan = await getClanDetails(clanTag)
+  res.json(clan)
+}))
 
 // Get multiple clans by tags (sent as query params)
-router.post('/multiple', async (req, res) => {
-  try {
-    const { clanTags } = req.body
-    
-    if (!clanTags || !Array.isArray(clanTags)) {
-      return res.status(400).json({ 
-        error: 'Invalid request', 
-        message: 'clanTags array is required' 
-      })
-    }
-
-    const clans = await getMultipleClans(clanTags)
-    res.json(clans)
-  } catch (error) {
-    console.error('Error fetching multiple clans:', error)
-    res.status(500).json({ 
-      error: 'Failed to fetch clans data', 
-      message: error.message 
-    })
+router.post('/multiple', asyncHandler(async (req, res) => {
+  const { clanTags } = req.body
+  
+  if (!clanTags || !Array.isArray(clanTags)) {
+    throw new ValidationError('clanTags array is required')
   }
-})
 
-// Get current war for a clan
-router.get('/:clanTag/war', async (req, res) => {
-  try {
-    const { clanTag } = req.params
-    const war = await getCurrentWar(clanTag)
-    res.json(war)
-  } catch (error) {
-    console.error('Error fetching war data:', error)
-    res.status(500).json({ 
-      error: 'Failed to fetch war data', 
-      message: error.message 
-    })
+  const { invalid } = partitionTags(clanTags)
+
+  if (invalid.length > 0) {
+    throw new ValidationError(`Invalid clan tags: ${invalid.join(', ')}`, { invalidTags: invalid })
   }
-})
+
+  const clans = await getMultipleClans(clanTags)
+  res.json(clans)
+}))
+
+// Get current war for a clan
+router.get('/:clanTag/war', asyncHandler(async (req, res) => {
+  const { clanTag } = req.params
+  const war = await getCurrentWar(clanTag)
+  res.json(war)
+}))
+
+// Get members with attacks left in the current war, or who missed attacks (ended war, CWL rounds)
+router.get('/:clanTag/war/missed', asyncHandler(async (req, res) => {
+  const { clanTag } = req.params
+  const report = await getMissedAttacks(clanTag)
+  res.json(report)
+}))
 
 // Get war log for a clan
-router.get('/:clanTag/warlog', async (req, res) => {
-  try {
-    const { clanTag } = req.params
-    const warLog = await getWarLog(clanTag)
-    res.json(warLog)
-  } catch (error) {
-    console.error('Error fetching war log:', error)
-    res.status(500).json({ 
-      error: 'Failed to fetch war log', 
-      message: error.message 
-    })
+router.get('/:clanTag/warlog', asyncHandler(async (req, res) => {
+  const { clanTag } = req.params
+  const warLog = await getWarLog(clanTag)
+  res.json(warLog)
+}))
+
+// Get roster events (joins, leaves, role changes, TH upgrades, name changes) of a clan
+router.get('/:clanTag/history', asyncHandler(async (req, res) => {
+  const { clanTag } = req.params
+  const history = await getRosterEvents({ ...parseHistoryFilters(req.query), clanTag })
+  res.json({ clanTag, ...history })
+}))
+
+// Get members whose activity signals haven't changed for ?days=N (default 7)
+router.get('/:clanTag/inactive', asyncHandler(async (req, res) => {
+  const { clanTag } = req.params
+  const report = await getInactiveMembers(clanTag, parseInactivityOptions(req.query))
+
+  if (!report) {
+    throw new NotFoundError(`No activity recorded for ${clanTag} yet`)
   }
-})
+
+  res.json(report)
+}))
 
 // Get capital raid seasons for a clan
-router.get('/:clanTag/capitalraids', async (req, res) => {
-  try {
-    const { clanTag } = req.params
-    const raidSeasons = await getCapitalRaidSeasons(clanTag)
-    res.json(raidSeasons)
-  } catch (error) {
-    console.error('Error fetching capital raid seasons:', error)
-    res.status(500).json({ 
-      error: 'Failed to fetch capital raid seasons', 
-      message: error.message 
-    })
-  }
-})
+router.get('/:clanTag/capitalraids', asyncHandler(async (req, res) => {
+  const { clanTag } = req.params
+  const raidSeasons = await getCapitalRaidSeasons(clanTag)
+  res.json(raidSeasons)
+}))
 
 export default router
-
@@ -4,63 +4,76 @@ import {
   getAllCWLClansMerged,
   getClanEligibleMembers
 } from '../services/cwlService.js'
+import { getCWLGroup, getCWLRoundWar } from '../services/clashOfClansService.js'
+import { asyncHandler } from '../middleware/errorHandler.js'
+import { tagParam } from '../middleware/tagParam.js'
+import { NotFoundError, ValidationError } from '../utils/errors.js'
 
 const router = express.Router()
 
+// Canonicalize tags and reject invalid ones before any upstream call
+router.param('clanTag', tagParam)
+
 // Get filtered CWL clans (merged data with capacity logic applied)
-router.get('/clans', async (req, res) => {
-  try {
-    const showAll = req.query.all === 'true'
-    
-    if (showAll) {
-      // Show all clans without filtering (uses shared cache)
-      const allClans = await getAllCWLClansMerged()
-      
-      return res.json({
-        count: allClans.length,
-        clans: allClans,
-        filtered: false
-      })
-    }
+router.get('/clans', asyncHandler(async (req, res) => {
+  const showAll = req.query.all === 'true'
+  
+  if (showAll) {
+    // Show all clans without filtering (uses shared cache)
+    const allClans = await getAllCWLClansMerged()
     
-    // Default: filtered clans
-    const clans = await getCWLClansFiltered()
-    res.json({
-      count: clans.length,
-      clans,
-      filtered: true
-    })
-  } catch (error) {
-    console.error('Error fetching filtered CWL clans:', error)
-    res.status(500).json({
-      error: 'Failed to fetch CWL clans',
-      message: error.message
+    return res.json({
+      count: allClans.length,
+      clans: allClans,
+      filtered: false
     })
   }
-})
+  
+  // Default: filtered clans
+  const clans = await getCWLClansFiltered()
+  res.json({
+    count: clans.length,
+    clans,
+    filtered: true
+  })
+}))
 
 // Get eligible members for a specific clan
-router.post('/clans/:clanTag/eligible', async (req, res) => {
-  try {
-    const { clanTag } = req.params
-    const { sheetData } = req.body
+router.post('/clans/:clanTag/eligible', asyncHandler(async (req, res) => {
+  const { clanTag } = req.params
+  const { sheetData } = req.body
 
-    if (!sheetData) {
-      return res.status(400).json({
-        error: 'Invalid request',
-        message: 'sheetData is required in request body'
-      })
-    }
+  if (!sheetData) {
+    throw new ValidationError('sheetData is required in request body')
+  }
 
-    const eligibleInfo = await getClanEligibleMembers(clanTag, sheetData)
-    res.json(eligibleInfo)
-  } catch (error) {
-    console.error('Error calculating eligible members:', error)
-    res.status(500).json({
-      error: 'Failed to calculate eligible members',
-      message: error.message
-    })
+  const eligibleInfo = await getClanEligibleMembers(clanTag, sheetData)
+  res.json(eligibleInfo)
+}))
+
+// Get the CWL league group of a clan (season, clans with rosters, rounds)
+router.get('/:clanTag/group', asyncHandler(async (req, res) => {
+  const { clanTag } = req.params
+  const group = await getCWLGroup(clanTag)
+  res.json(group)
+}))
+
+// Get a clan's war for a CWL round (1-7)
+router.get('/:clanTag/rounds/:round', asyncHandler(async (req, res) => {
+  const { clanTag } = req.params
+  const round = parseInt(req.params.round)
+
+  if (!Number.isInteger(round) || round < 1 || round > 7) {
+    throw new ValidationError('round must be a number between 1 and 7')
+  }
+
+  const war = await getCWLRoundWar(clanTag, round)
+
+  if (!war) {
+    throw new NotFoundError(`Round ${round} has not been drawn yet`)
   }
-})
+
+  res.json(war)
+}))
 
 export default router
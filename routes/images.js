@@ -1,62 +1,45 @@
 import express from 'express'
 import { getClanDetails } from '../services/clashOfClansService.js'
+import { asyncHandler } from '../middleware/errorHandler.js'
+import { tagParam } from '../middleware/tagParam.js'
+import { NotFoundError } from '../utils/errors.js'
 
 const router = express.Router()
 
+// Canonicalize tags and reject invalid ones before any upstream call
+router.param('clanTag', tagParam)
+
 // Proxy clan badge image
-router.get('/badge/:clanTag/:size?', async (req, res) => {
-  try {
-    const { clanTag, size } = req.params
-    const validSizes = ['small', 'medium', 'large']
-    const imageSize = validSizes.includes(size) ? size : 'medium'
-
-    const clan = await getClanDetails(clanTag)
-
-    if (!clan.badgeUrls || !clan.badgeUrls[imageSize]) {
-      return res.status(404).json({
-        error: 'Badge not found',
-        message: 'Clan badge URL not available'
-      })
-    }
-
-    // Redirect to the actual badge URL
-    // The CoC API already provides CDN URLs, so we just redirect
-    res.redirect(clan.badgeUrls[imageSize])
-  } catch (error) {
-    console.error('Error fetching clan badge:', error)
-    res.status(500).json({
-      error: 'Failed to fetch badge',
-      message: error.message
-    })
+router.get('/badge/:clanTag/:size?', asyncHandler(async (req, res) => {
+  const { clanTag, size } = req.params
+  const validSizes = ['small', 'medium', 'large']
+  const imageSize = validSizes.includes(size) ? size : 'medium'
+
+  const clan = await getClanDetails(clanTag)
+
+  if (!clan.badgeUrls || !clan.badgeUrls[imageSize]) {
+    throw new NotFoundError('Clan badge URL not available')
   }
-})
+
+  // Redirect to the actual badge URL
+  // The CoC API already provides CDN URLs, so we just redirect
+  res.redirect(clan.badgeUrls[imageSize])
+}))
 
 // Get badge URLs without redirect
-router.get('/badge/:clanTag', async (req, res) => {
-  try {
-    const { clanTag } = req.params
-    const clan = await getClanDetails(clanTag)
-
-    if (!clan.badgeUrls) {
-      return res.status(404).json({
-        error: 'Badge not found',
-        message: 'Clan badge URLs not available'
-      })
-    }
-
-    res.json({
-      clanTag: clan.tag,
-      clanName: clan.name,
-      badgeUrls: clan.badgeUrls
-    })
-  } catch (error) {
-    console.error('Error fetching clan badge URLs:', error)
-    res.status(500).json({
-      error: 'Failed to fetch badge URLs',
-      message: error.message
-    })
+router.get('/badge/:clanTag', asyncHandler(async (req, res) => {
+  const { clanTag } = req.params
+  const clan = await getClanDetails(clanTag)
+
+  if (!clan.badgeUrls) {
+    throw new NotFoundError('Clan badge URLs not available')
   }
-})
 
-export default router
+  res.json({
+    clanTag: clan.tag,
+    clanName: clan.name,
+    badgeUrls: clan.badgeUrls
+  })
+}))
 
+export default router
@@ -0,0 +1,41 @@
+import express from 'express'
+import { 
+  getPlayerDetails, 
+  getMultiplePlayers
+} from '../services/clashOfClansService.js'
+import { asyncHandler } from '../middleware/errorHandler.js'
+import { tagParam } from '../middleware/tagParam.js'
+import { ValidationError } from '../utils/errors.js'
+import { partitionTags } from '../utils/tags.js'
+
+const router = express.Router()
+
+// Canonicalize tags and reject invalid ones before any upstream call
+router.param('playerTag', tagParam)
+
+// Get multiple players by tags (sent in request body)
+router.post('/multiple', asyncHandler(async (req, res) => {
+  const { playerTags } = req.body
+  
+  if (!playerTags || !Array.isArray(playerTags)) {
+    throw new ValidationError('playerTags array is required')
+  }
+
+  const { invalid } = partitionTags(playerTags)
+
+  if (invalid.length > 0) {
+    throw new ValidationError(`Invalid player tags: ${invalid.join(', ')}`, { invalidTags: invalid })
+  }
+
+  const players = await getMultiplePlayers(playerTags)
+  res.json(players)
+}))
+
+// Get a single player by tag
+router.get('/:playerTag', asyncHandler(async (req, res) => {
+  const { playerTag } = req.params
+  const player = await getPlayerDetails(playerTag)
+  res.json(player)
+}))
+
+export default router
@@ -0,0 +1,15 @@
+import express from 'express'
+import { getSocketRooms } from '../services/socketService.js'
+import { requireRole } from '../middleware/auth.js'
+
+const router = express.Router()
+
+// List WebSocket channel rooms and their listener counts
+router.get('/rooms', requireRole('admin'), (req, res) => {
+  res.json({
+    success: true,
+    ...getSocketRooms()
+  })
+})
+
+export default router
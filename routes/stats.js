@@ -4,52 +4,128 @@ import {
   getTrinityFamilyStats,
   getClanTHDistribution
 } from '../services/statsService.js'
+import { getDonationLeaderboard, DONATION_SORTS } from '../services/donationService.js'
+import { getWarPerformance, WAR_PERFORMANCE_SORTS } from '../services/warPerformanceService.js'
+import { WAR_TYPES } from '../services/warArchiveService.js'
+import { getClanTrends, getFamilyTrends, TREND_METRICS, TREND_INTERVALS } from '../services/trendsService.js'
+import { asyncHandler } from '../middleware/errorHandler.js'
+import { tagParam } from '../middleware/tagParam.js'
+import { NotFoundError, ValidationError } from '../utils/errors.js'
+import { getSeasonId, parseSeasonId } from '../utils/seasons.js'
+import { parseTag } from '../utils/tags.js'
+import { parseDateRange } from '../utils/dates.js'
 
 const router = express.Router()
 
+// Canonicalize tags and reject invalid ones before any upstream call
+router.param('clanTag', tagParam)
+
+/**
+ * Read trend options from the query string
+ * ?metric=clanPoints,warWins&from=&to=&interval=day
+ * @param {Object} query - Express req.query
+ * @returns {Object} Options for getClanTrends / getFamilyTrends
+ */
+const parseTrendOptions = (query) => {
+  const metrics = query.metric ? query.metric.split(',').map(metric => metric.trim()) : TREND_METRICS
+  const unknownMetrics = metrics.filter(metric => !TREND_METRICS.includes(metric))
+
+  if (unknownMetrics.length > 0) {
+    throw new ValidationError(`Unknown metric: ${unknownMetrics.join(', ')} (expected ${TREND_METRICS.join(', ')})`)
+  }
+
+  const interval = query.interval || 'day'
+
+  if (!TREND_INTERVALS[interval]) {
+    throw new ValidationError(`interval must be one of ${Object.keys(TREND_INTERVALS).join(', ')}`)
+  }
+
+  return { ...parseDateRange(query), metrics, interval }
+}
+
 // Get aggregated stats for a specific clan
-router.get('/clans/:clanTag', async (req, res) => {
-  try {
-    const { clanTag } = req.params
-    const stats = await getClanStats(clanTag)
-    res.json(stats)
-  } catch (error) {
-    console.error('Error fetching clan stats:', error)
-    res.status(500).json({
-      error: 'Failed to fetch clan stats',
-      message: error.message
-    })
-  }
-})
+router.get('/clans/:clanTag', asyncHandler(async (req, res) => {
+  const { clanTag } = req.params
+  const stats = await getClanStats(clanTag)
+  res.json(stats)
+}))
 
 // Get TH distribution for a specific clan
-router.get('/clans/:clanTag/th-distribution', async (req, res) => {
-  try {
-    const { clanTag } = req.params
-    const distribution = await getClanTHDistribution(clanTag)
-    res.json(distribution)
-  } catch (error) {
-    console.error('Error fetching TH distribution:', error)
-    res.status(500).json({
-      error: 'Failed to fetch TH distribution',
-      message: error.message
-    })
-  }
-})
+router.get('/clans/:clanTag/th-distribution', asyncHandler(async (req, res) => {
+  const { clanTag } = req.params
+  const distribution = await getClanTHDistribution(clanTag)
+  res.json(distribution)
+}))
+
+// Get downsampled metric series of a clan for charts
+router.get('/clans/:clanTag/trends', asyncHandler(async (req, res) => {
+  const { clanTag } = req.params
+  const trends = await getClanTrends(clanTag, parseTrendOptions(req.query))
+
+  if (!trends) {
+    throw new NotFoundError(`No trend data recorded for ${clanTag} yet`)
+  }
+
+  res.json(trends)
+}))
+
+// Get donation leaderboard of a clan for a season (?season=YYYY-MM&sort=ratio|donations|received)
+router.get('/clans/:clanTag/donations', asyncHandler(async (req, res) => {
+  const { clanTag } = req.params
+  const season = req.query.season ? parseSeasonId(req.query.season) : getSeasonId()
+  const sort = req.query.sort || 'ratio'
+
+  if (!DONATION_SORTS.includes(sort)) {
+    throw new ValidationError(`sort must be one of ${DONATION_SORTS.join(', ')}`)
+  }
+
+  const leaderboard = await getDonationLeaderboard(clanTag, { season, sort })
+
+  if (!leaderboard) {
+    throw new NotFoundError(`No donation data recorded for ${clanTag} in season ${season}`)
+  }
+
+  res.json(leaderboard)
+}))
+
+// Get war performance of family members from archived wars
+// ?clan=&from=&to=&type=regular|cwl&sort=averageStars&order=desc|asc
+router.get('/members/war-performance', asyncHandler(async (req, res) => {
+  const { clan, type, sort = 'averageStars', order = 'desc' } = req.query
+
+  if (type && !WAR_TYPES.includes(type)) {
+    throw new ValidationError(`type must be one of ${WAR_TYPES.join(', ')}`)
+  }
+
+  if (!WAR_PERFORMANCE_SORTS.includes(sort)) {
+    throw new ValidationError(`sort must be one of ${WAR_PERFORMANCE_SORTS.join(', ')}`)
+  }
+
+  if (!['asc', 'desc'].includes(order)) {
+    throw new ValidationError('order must be asc or desc')
+  }
+
+  const performance = await getWarPerformance({
+    ...parseDateRange(req.query),
+    clanTag: clan ? parseTag(clan, 'clan') : undefined,
+    type,
+    sort,
+    order
+  })
+
+  res.json(performance)
+}))
 
 // Get Trinity family-wide statistics
-router.get('/family', async (req, res) => {
-  try {
-    const stats = await getTrinityFamilyStats()
-    res.json(stats)
-  } catch (error) {
-    console.error('Error fetching Trinity family stats:', error)
-    res.status(500).json({
-      error: 'Failed to fetch family stats',
-      message: error.message
-    })
-  }
-})
+router.get('/family', asyncHandler(async (req, res) => {
+  const stats = await getTrinityFamilyStats()
+  res.json(stats)
+}))
 
-export default router
+// Get downsampled metric series of the whole family
+router.get('/family/trends', asyncHandler(async (req, res) => {
+  const trends = await getFamilyTrends(parseTrendOptions(req.query))
+  res.json(trends)
+}))
 
+export default router
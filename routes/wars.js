@@ -0,0 +1,63 @@
+import express from 'express'
+import { getWars, getWar, WAR_RESULTS, WAR_TYPES } from '../services/warArchiveService.js'
+import { asyncHandler } from '../middleware/errorHandler.js'
+import { NotFoundError, ValidationError } from '../utils/errors.js'
+import { parseTag } from '../utils/tags.js'
+import { parseDateRange } from '../utils/dates.js'
+
+const router = express.Router()
+
+/**
+ * Read archive filters from the query string
+ * ?clan=&opponent=&from=&to=&result=&type=&limit=
+ * @param {Object} query - Express req.query
+ * @returns {Object} Filters for getWars
+ */
+const parseWarFilters = (query) => {
+  if (query.result && !WAR_RESULTS.includes(query.result)) {
+    throw new ValidationError(`result must be one of ${WAR_RESULTS.join(', ')}`)
+  }
+
+  if (query.type && !WAR_TYPES.includes(query.type)) {
+    throw new ValidationError(`type must be one of ${WAR_TYPES.join(', ')}`)
+  }
+
+  // Repeated params (?opponent=a&opponent=b) arrive as arrays
+  if (query.opponent !== undefined && typeof query.opponent !== 'string') {
+    throw new ValidationError('opponent must be a single tag or name')
+  }
+
+  const limit = query.limit === undefined ? undefined : parseInt(query.limit)
+
+  if (limit !== undefined && !(limit > 0)) {
+    throw new ValidationError('limit must be a positive number')
+  }
+
+  return {
+    ...parseDateRange(query),
+    clanTag: query.clan ? parseTag(query.clan, 'clan') : undefined,
+    opponent: query.opponent,
+    result: query.result,
+    type: query.type,
+    limit
+  }
+}
+
+// List archived wars of the family clans, newest first
+router.get('/', asyncHandler(async (req, res) => {
+  const wars = await getWars(parseWarFilters(req.query))
+  res.json(wars)
+}))
+
+// Get one archived war with both lineups and every attack
+router.get('/:warId', asyncHandler(async (req, res) => {
+  const war = await getWar(req.params.warId)
+
+  if (!war) {
+    throw new NotFoundError(`War ${req.params.warId} not found in the archive`)
+  }
+
+  res.json(war)
+}))
+
+export default router
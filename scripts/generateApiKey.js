@@ -0,0 +1,21 @@
+import crypto from 'crypto'
+import { ROLES, hashApiKey } from '../services/authService.js'
+
+/**
+ * Generate a new API key and the API_KEYS entry for it
+ * Usage: npm run generate-key -- <name> <role>
+ */
+const [name, role = 'viewer'] = process.argv.slice(2)
+
+if (!name || !ROLES.includes(role)) {
+  console.error(`Usage: npm run generate-key -- <name> <${ROLES.join('|')}>`)
+  process.exit(1)
+}
+
+const key = crypto.randomBytes(32).toString('base64url')
+
+console.log(`🔑 API key for ${name} (${role}) - give this to the client, it is not stored:`)
+console.log(key)
+console.log('')
+console.log('➕ Add this entry to API_KEYS in .env (comma-separated):')
+console.log(`${name}:${role}:${hashApiKey(key)}`)
@@ -0,0 +1,202 @@
+import { createStore } from './storageService.js'
+import { getMultiplePlayers } from './clashOfClansService.js'
+import { fetchTrinityClansFromSheet } from './googleSheetsService.js'
+
+/**
+ * Values we watch to tell whether a member is active
+ * - source: "member" comes from the clan's memberList, "player" needs the player profile
+ * Only increases count: a drop is a season reset, leaving the clan or, for
+ * trophies, lost defenses, none of which the member did
+ */
+const SIGNALS = {
+  donations: { source: 'member', read: member => member.donations },
+  trophies: { source: 'member', read: member => member.trophies },
+  warStars: { source: 'player', read: player => player.warStars },
+  attackWins: { source: 'player', read: player => player.attackWins },
+  capitalContributions: { source: 'player', read: player => player.clanCapitalContributions },
+  clanGames: {
+    source: 'player',
+    read: player => player.achievements.find(achievement => achievement.name === 'Games Champion')?.value
+  }
+}
+
+export const ACTIVITY_SIGNALS = Object.keys(SIGNALS)
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const DEFAULT_RETENTION_DAYS = 365
+
+// clans: { [clanTag]: { name, capturedAt, members: [playerTag] } } current rosters
+// members: { [playerTag]: { name, clanTag, role, townHallLevel, trackedSince, lastSeenAt, values: { [signal]: value }, changedAt: { [signal]: ISO } } }
+const store = createStore('activity', () => ({ clans: {}, members: {} }))
+
+/**
+ * Fetch the profiles of every member when enabled with INACTIVITY_FETCH_PLAYERS=true
+ * (one CoC API call per member and run, off by default to spare the rate limit;
+ * the player signals are skipped without them)
+ * @param {Array<Object>} clans - Clans from getClanDetails
+ * @returns {Promise<Map<string, Object>>} Players by tag
+ */
+const fetchPlayers = async (clans) => {
+  if (process.env.INACTIVITY_FETCH_PLAYERS !== 'true') {
+    return new Map()
+  }
+
+  const players = await getMultiplePlayers(clans.flatMap(clan => clan.memberList.map(member => member.tag)))
+  return new Map(players.map(player => [player.tag, player]))
+}
+
+/**
+ * Capture the activity signals of every member and remember when each one last changed
+ * The first capture of a member only sets the baseline
+ * @param {Array<Object>} clans - Clans from getClanDetails / getMultipleClans
+ * @returns {Promise<Object>} { members, players, changes } counts
+ */
+export const recordActivity = async (clans) => {
+  const players = await fetchPlayers(clans)
+
+  return store.update(doc => {
+    const at = new Date().toISOString()
+    let changes = 0
+
+    for (const clan of clans) {
+      doc.clans[clan.tag] = {
+        name: clan.name,
+        capturedAt: at,
+        members: clan.memberList.map(member => member.tag)
+      }
+
+      for (const member of clan.memberList) {
+        const sources = { member, player: players.get(member.tag) }
+        const record = doc.members[member.tag] ??= { trackedSince: at, values: {}, changedAt: {} }
+
+        Object.assign(record, {
+          name: member.name,
+          clanTag: clan.tag,
+          role: member.role,
+          townHallLevel: member.townHallLevel,
+          lastSeenAt: at
+        })
+
+        for (const [signal, { source, read }] of Object.entries(SIGNALS)) {
+          const value = sources[source] ? read(sources[source]) : undefined
+          const previous = record.values[signal]
+
+          if (value === undefined) continue
+
+          if (previous !== undefined && value > previous) {
+            record.changedAt[signal] = at
+            changes++
+          }
+
+          record.values[signal] = value
+        }
+      }
+    }
+
+    // Forget players who haven't been in a family clan for the retention window
+    const retentionDays = parseInt(process.env.HISTORY_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS
+    const cutoff = Date.now() - retentionDays * DAY_MS
+
+    for (const [tag, record] of Object.entries(doc.members)) {
+      if (new Date(record.lastSeenAt).getTime() < cutoff) {
+        delete doc.members[tag]
+      }
+    }
+
+    return {
+      members: clans.reduce((total, clan) => total + clan.memberList.length, 0),
+      players: players.size,
+      changes
+    }
+  })
+}
+
+/**
+ * Estimate when a member was last active from the selected signals
+ * Without any change since tracking started we only know they've been
+ * inactive at least since trackedSince
+ * @param {string} tag - Player tag
+ * @param {Object} record - Member activity record
+ * @param {Array<string>} signals - Signals to consider
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} Member report
+ */
+const describeMember = (tag, record, signals, now) => {
+  const lastChange = signals
+    .filter(signal => record.changedAt[signal])
+    .map(signal => ({ signal, at: record.changedAt[signal] }))
+    .sort((a, b) => b.at.localeCompare(a.at))[0] || null
+  const since = lastChange?.at || record.trackedSince
+
+  return {
+    tag,
+    name: record.name,
+    role: record.role,
+    townHallLevel: record.townHallLevel,
+    lastSeenActive: lastChange,
+    trackedSince: record.trackedSince,
+    inactiveDays: Math.floor((now - new Date(since).getTime()) / DAY_MS),
+    lastChanges: Object.fromEntries(signals.map(signal => [signal, record.changedAt[signal] || null]))
+  }
+}
+
+/**
+ * Get the members of a clan whose selected signals haven't changed for some days
+ * Members tracked for less than that are never reported
+ * @param {string} clanTag - Clan tag
+ * @param {Object} options - Options
+ * @param {number} options.days - Days without change (default 7)
+ * @param {Array<string>} options.signals - Signals to consider (default: all)
+ * @returns {Promise<Object|null>} Report, or null if the clan was never captured
+ */
+export const getInactiveMembers = async (clanTag, { days = 7, signals = ACTIVITY_SIGNALS } = {}) => {
+  const doc = await store.read()
+  const clan = doc.clans[clanTag]
+
+  if (!clan) {
+    return null
+  }
+
+  const now = Date.now()
+  const members = clan.members
+    .filter(tag => doc.members[tag])
+    .map(tag => describeMember(tag, doc.members[tag], signals, now))
+    .filter(member => member.inactiveDays >= days)
+    .sort((a, b) => b.inactiveDays - a.inactiveDays)
+
+  return {
+    clanTag,
+    clanName: clan.name,
+    capturedAt: clan.capturedAt,
+    days,
+    signals,
+    total: members.length,
+    members
+  }
+}
+
+/**
+ * Get the inactive members of every Trinity clan
+ * Clans not captured by the family tracker yet are left out
+ * @param {Object} options - Options of getInactiveMembers
+ * @returns {Promise<Object>} { days, signals, total, clans }
+ */
+export const getFamilyInactiveMembers = async ({ days = 7, signals = ACTIVITY_SIGNALS } = {}) => {
+  const clanTags = await fetchTrinityClansFromSheet()
+  const clans = []
+
+  for (const clanTag of clanTags) {
+    const report = await getInactiveMembers(clanTag, { days, signals })
+
+    if (report) {
+      clans.push(report)
+    }
+  }
+
+  return {
+    days,
+    signals,
+    total: clans.reduce((total, clan) => total + clan.total, 0),
+    clans
+  }
+}
@@ -0,0 +1,210 @@
+import crypto from 'crypto'
+import { getPlayerDetails, verifyPlayerToken } from './clashOfClansService.js'
+import { fetchTrinityClansFromSheet } from './googleSheetsService.js'
+
+// Roles ordered from least to most privileged
+export const ROLES = ['viewer', 'leader', 'admin']
+
+// In-game clan roles that get the "leader" role when in a Trinity clan
+const LEADER_CLAN_ROLES = ['leader', 'coLeader']
+
+// Player sessions last 7 days by default (SESSION_TTL in seconds)
+const DEFAULT_SESSION_TTL = 7 * 24 * 60 * 60
+
+// Parsed API_KEYS config (parsed lazily so .env has been loaded)
+let apiKeys = null
+
+/**
+ * Hash an API key the same way keys are stored in config
+ * @param {string} key - Plain API key
+ * @returns {string} SHA-256 hex digest
+ */
+export const hashApiKey = (key) => {
+  return crypto.createHash('sha256').update(key).digest('hex')
+}
+
+/**
+ * Parse API_KEYS from the environment
+ * Format: comma-separated "name:role:sha256hash" entries
+ * e.g. API_KEYS=ops:admin:5e88...,discord-bot:viewer:a94a...
+ * @returns {Array<Object>} Configured keys ({ name, role, hash })
+ */
+export const getApiKeys = () => {
+  if (apiKeys) {
+    return apiKeys
+  }
+
+  apiKeys = (process.env.API_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [name, role, hash] = entry.split(':').map(part => part.trim())
+
+      if (!name || !ROLES.includes(role) || !/^[a-f0-9]{64}$/i.test(hash || '')) {
+        console.warn(`⚠️ Ignoring invalid API_KEYS entry "${name || entry}"`)
+        return null
+      }
+
+      return { name, role, hash: hash.toLowerCase() }
+    })
+    .filter(Boolean)
+
+  return apiKeys
+}
+
+/**
+ * Find the configured key matching a presented API key
+ * @param {string} key - Plain API key from the request
+ * @returns {Object|null} Principal ({ type, name, role }) or null if unknown
+ */
+export const authenticateApiKey = (key) => {
+  if (!key) return null
+
+  const presented = Buffer.from(hashApiKey(key), 'hex')
+  const match = getApiKeys().find(entry =>
+    crypto.timingSafeEqual(presented, Buffer.from(entry.hash, 'hex'))
+  )
+
+  return match ? { type: 'apiKey', name: match.name, role: match.role } : null
+}
+
+/**
+ * Check whether a role satisfies a required role
+ * @param {string} role - Role of the caller
+ * @param {string} requiredRole - Minimum role needed
+ * @returns {boolean} True if allowed
+ */
+export const hasRole = (role, requiredRole) => {
+  return ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(requiredRole)
+}
+
+/**
+ * Sign data with SESSION_SECRET
+ * @param {string} data - Data to sign
+ * @param {string} secret - Session secret
+ * @returns {string} base64url HMAC-SHA256 signature
+ */
+const sign = (data, secret) => {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url')
+}
+
+/**
+ * Create a signed session token
+ * Format: base64url(JSON payload) + "." + signature
+ * @param {Object} session - Session data ({ accounts, role })
+ * @returns {Object} { token, expiresAt }
+ */
+export const createSessionToken = (session) => {
+  const secret = process.env.SESSION_SECRET
+
+  if (!secret) {
+    throw new Error('SESSION_SECRET must be set in .env file')
+  }
+
+  const ttl = parseInt(process.env.SESSION_TTL) || DEFAULT_SESSION_TTL
+  const issuedAt = Math.floor(Date.now() / 1000)
+  const payload = { ...session, iat: issuedAt, exp: issuedAt + ttl }
+  const data = Buffer.from(JSON.stringify(payload)).toString('base64url')
+
+  return {
+    token: `${data}.${sign(data, secret)}`,
+    expiresAt: new Date(payload.exp * 1000).toISOString()
+  }
+}
+
+/**
+ * Read a session token, checking its signature and expiry
+ * @param {string} token - Session token
+ * @returns {Object|null} Session payload or null if invalid/expired
+ */
+export const readSessionToken = (token) => {
+  const secret = process.env.SESSION_SECRET
+  if (!secret || !token) return null
+
+  const [data, signature] = token.split('.')
+  if (!data || !signature) return null
+
+  const expected = Buffer.from(sign(data, secret))
+  const presented = Buffer.from(signature)
+  if (expected.length !== presented.length || !crypto.timingSafeEqual(expected, presented)) {
+    return null
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(data, 'base64url').toString('utf8'))
+    return payload.exp * 1000 > Date.now() ? payload : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Turn a session token into a principal
+ * @param {string} token - Session token
+ * @returns {Object|null} Principal ({ type, name, role, accounts, playerTags }) or null
+ */
+export const authenticateSessionToken = (token) => {
+  const session = readSessionToken(token)
+  if (!session || !Array.isArray(session.accounts)) return null
+
+  return {
+    type: 'player',
+    name: session.accounts[0]?.name || 'player',
+    role: session.role,
+    accounts: session.accounts,
+    playerTags: session.accounts.map(account => account.tag)
+  }
+}
+
+/**
+ * Authenticate an API key or a player session token
+ * @param {string} credential - Credential from the request
+ * @returns {Object|null} Principal or null if unknown
+ */
+export const authenticate = (credential) => {
+  return authenticateApiKey(credential) || authenticateSessionToken(credential)
+}
+
+/**
+ * Verify a player owns a village and link it to a session
+ * Family leaders and co-leaders get the "leader" role
+ * @param {string} playerTag - Player tag
+ * @param {string} apiToken - In-game player API token
+ * @param {Object|null} principal - Current player principal, to link another account
+ * @returns {Promise<Object|null>} { token, expiresAt, role, accounts } or null if the token is wrong
+ */
+export const linkVerifiedPlayer = async (playerTag, apiToken, principal = null) => {
+  const verified = await verifyPlayerToken(playerTag, apiToken)
+
+  if (!verified) {
+    return null
+  }
+
+  const [player, familyClanTags] = await Promise.all([
+    getPlayerDetails(playerTag),
+    fetchTrinityClansFromSheet().catch(() => [])
+  ])
+
+  const inFamily = Boolean(player.clan && familyClanTags.includes(player.clan.tag))
+
+  const account = {
+    tag: player.tag,
+    name: player.name,
+    clanTag: player.clan?.tag || null,
+    clanRole: player.role,
+    isFamilyLeader: inFamily && LEADER_CLAN_ROLES.includes(player.role),
+    verifiedAt: new Date().toISOString()
+  }
+
+  // Keep previously linked accounts (re-verifying replaces the old record)
+  const previousAccounts = principal?.type === 'player' ? principal.accounts : []
+  const accounts = [...previousAccounts.filter(linked => linked.tag !== account.tag), account]
+  const role = accounts.some(linked => linked.isFamilyLeader) ? 'leader' : 'viewer'
+
+  return {
+    ...createSessionToken({ accounts, role }),
+    role,
+    accounts
+  }
+}
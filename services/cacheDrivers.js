@@ -0,0 +1,86 @@
+import { promises as fs } from 'fs'
+import path from 'path'
+
+/**
+ * Cache persistence drivers
+ *
+ * A driver only knows how to load and save a snapshot of cache entries.
+ * The hot cache always lives in memory (node-cache), the driver decides
+ * whether that memory survives a restart.
+ *
+ * Snapshot entry shape: { key, value, expiresAt }
+ * - expiresAt: Unix timestamp in ms, 0 means the entry never expires
+ */
+
+/**
+ * Memory driver - nothing is persisted (cache starts cold on every boot)
+ * @returns {Object} Cache driver
+ */
+export const createMemoryDriver = () => ({
+  name: 'memory',
+  persistent: false,
+  load: async () => [],
+  save: async () => {}
+})
+
+/**
+ * File driver - snapshots the cache into a single JSON file
+ * @param {string} filePath - Path to the snapshot file
+ * @returns {Object} Cache driver
+ */
+export const createFileDriver = (filePath) => ({
+  name: 'file',
+  persistent: true,
+  filePath,
+
+  /**
+   * Read the snapshot from disk
+   * @returns {Promise<Array>} Snapshot entries (empty if no snapshot exists)
+   */
+  load: async () => {
+    try {
+      const content = await fs.readFile(filePath, 'utf8')
+      const snapshot = JSON.parse(content)
+      return Array.isArray(snapshot.entries) ? snapshot.entries : []
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return []
+      }
+      throw error
+    }
+  },
+
+  /**
+   * Write the snapshot to disk
+   * Writes to a temp file first so a crash mid-write never corrupts the snapshot
+   * @param {Array} entries - Snapshot entries
+   */
+  save: async (entries) => {
+    const tempPath = `${filePath}.tmp`
+    const snapshot = {
+      savedAt: new Date().toISOString(),
+      entries
+    }
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true })
+    await fs.writeFile(tempPath, JSON.stringify(snapshot))
+    await fs.rename(tempPath, filePath)
+  }
+})
+
+/**
+ * Create the driver selected by the CACHE_DRIVER env variable
+ * @param {string} name - Driver name ("memory" or "file")
+ * @returns {Object} Cache driver
+ */
+export const createCacheDriver = (name = process.env.CACHE_DRIVER || 'memory') => {
+  switch (name.toLowerCase()) {
+    case 'file':
+      return createFileDriver(process.env.CACHE_FILE || './data/cache-snapshot.json')
+    case 'memory':
+      return createMemoryDriver()
+    default:
+      console.warn(`⚠️ Unknown CACHE_DRIVER "${name}", falling back to memory`)
+      return createMemoryDriver()
+  }
+}
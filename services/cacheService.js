@@ -1,4 +1,13 @@
 import NodeCache from 'node-cache'
+import { AsyncLocalStorage } from 'async_hooks'
+import { createCacheDriver } from './cacheDrivers.js'
+import { recordCacheLookup } from './metricsService.js'
+
+const DEFAULT_TTL = 600
+
+// How long (as a multiple of the soft TTL) an entry may be served stale
+// while it is refreshed in the background
+const DEFAULT_STALE_FACTOR = 2
 
 // Initialize cache with default settings
 const cache = new NodeCache({
@@ -7,28 +16,297 @@ const cache = new NodeCache({
   useClones: false       // Better performance (don't clone objects)
 })
 
+// Persistence driver (memory by default, see CACHE_DRIVER in .env)
+// Created lazily so .env has been loaded by the time we read it
+let driver = null
+const getDriver = () => {
+  if (!driver) {
+    driver = createCacheDriver()
+  }
+  return driver
+}
+
+// Snapshot bookkeeping for stats
+const persistence = {
+  lastSnapshotAt: null,
+  lastSnapshotKeys: 0,
+  restoredKeys: 0
+}
+let snapshotTimer = null
+
+// Upstream fetches currently running, keyed by cache key (single-flight)
+const inflight = new Map()
+
+// Per-request freshness tracker (see middleware/cacheStatus.js)
+const statusStorage = new AsyncLocalStorage()
+
+// Which entries to refetch on read (see refreshAhead() and refreshOlderThan()),
+// set by background jobs: a function of the entry returning true to refetch it
+const refreshStorage = new AsyncLocalStorage()
+
+// Dependency graph between entries
+// parentsOf: child key -> keys it was built from
+// dependents: parent key -> keys built from it
+const parentsOf = new Map()
+const dependents = new Map()
+
+/**
+ * Entries are stored as envelopes:
+ * { value, storedAt, freshUntil, dependsOn }
+ * - freshUntil: end of the soft TTL in ms (0 = always fresh)
+ * - dependsOn: keys of the entries this value was built from
+ * The node-cache TTL is the hard TTL, after which the entry is gone
+ */
+const isFresh = (entry) => entry.freshUntil === 0 || Date.now() < entry.freshUntil
+
+/**
+ * Remove a key from the dependency graph (as a child)
+ * Its own dependents are kept so invalidating it later still cascades
+ * @param {string} key - Cache key
+ */
+const unlinkDependencies = (key) => {
+  const parents = parentsOf.get(key) || []
+  parents.forEach(parent => {
+    const children = dependents.get(parent)
+    if (!children) return
+
+    children.delete(key)
+    if (children.size === 0) {
+      dependents.delete(parent)
+    }
+  })
+  parentsOf.delete(key)
+}
+
+/**
+ * Register the keys an entry was built from
+ * @param {string} key - Cache key
+ * @param {string[]} dependsOn - Parent keys
+ */
+const linkDependencies = (key, dependsOn = []) => {
+  unlinkDependencies(key)
+  if (dependsOn.length === 0) return
+
+  parentsOf.set(key, dependsOn)
+  dependsOn.forEach(parent => {
+    if (!dependents.has(parent)) {
+      dependents.set(parent, new Set())
+    }
+    dependents.get(parent).add(key)
+  })
+}
+
+// Keep the graph in sync with the cache (covers set, restore, delete and expiry)
+cache.on('set', (key, entry) => linkDependencies(key, entry?.dependsOn))
+cache.on('del', (key) => unlinkDependencies(key))
+cache.on('flush', () => {
+  parentsOf.clear()
+  dependents.clear()
+})
+
+/**
+ * Escape a cache key pattern into an anchored regex, "*" matches anything
+ * @param {string} pattern - Pattern (e.g., "clan:*")
+ * @returns {RegExp} Regex matching whole keys
+ */
+const patternToRegex = (pattern) => {
+  const escaped = pattern
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*')
+  return new RegExp(`^${escaped}$`)
+}
+
+/**
+ * Record how fresh the data served to the current request is
+ * Any stale read marks the whole response as stale
+ * @param {string} status - "fresh" or "stale"
+ */
+const markStatus = (status) => {
+  const tracker = statusStorage.getStore()
+  if (!tracker) return
+
+  if (status === 'stale' || !tracker.status) {
+    tracker.status = status
+  }
+}
+
+/**
+ * Fetch a value and cache it, sharing one in-flight promise per key
+ * Concurrent misses on the same key all wait for the same upstream call
+ * Failed fetches are not cached, the next caller simply tries again
+ * @param {string} key - Cache key
+ * @param {Function} fetcher - Function producing the value
+ * @param {number} ttl - Soft TTL in seconds
+ * @param {Object} options - Options passed to set()
+ * @returns {Promise<any>} Fetched value
+ */
+const load = (key, fetcher, ttl, options) => {
+  if (inflight.has(key)) {
+    return inflight.get(key)
+  }
+
+  const fetchPromise = Promise.resolve()
+    .then(fetcher)
+    .then(value => {
+      cacheService.set(key, value, ttl, options)
+      return value
+    })
+    .finally(() => {
+      inflight.delete(key)
+    })
+
+  inflight.set(key, fetchPromise)
+  return fetchPromise
+}
+
+/**
+ * Refresh a stale entry in the background (joins a fetch already in flight)
+ * @param {string} key - Cache key
+ * @param {Function} fetcher - Function producing the fresh value
+ * @param {number} ttl - Soft TTL in seconds
+ * @param {Object} options - Options passed to set()
+ */
+const revalidate = (key, fetcher, ttl, options) => {
+  if (inflight.has(key)) {
+    return
+  }
+
+  // Run outside the request context so the refresh doesn't affect its status
+  statusStorage.exit(() => load(key, fetcher, ttl, options))
+    .catch(error => {
+      console.error(`Background refresh failed for ${key}:`, error.message)
+    })
+}
+
 /**
  * Cache service for storing API responses
  */
 export const cacheService = {
   /**
    * Get value from cache
+   * Only fresh values are returned, use wrap() to also get stale ones
    * @param {string} key - Cache key
    * @returns {any} Cached value or undefined
    */
   get: (key) => {
-    return cache.get(key)
+    const entry = cache.get(key)
+    const fresh = entry && isFresh(entry)
+
+    recordCacheLookup(key, fresh ? 'hit' : 'miss')
+    return fresh ? entry.value : undefined
   },
 
   /**
    * Set value in cache
    * @param {string} key - Cache key
    * @param {any} value - Value to cache
-   * @param {number} ttl - Time to live in seconds (optional)
+   * @param {number|Function} ttl - Soft TTL in seconds, value is fresh until then (optional)
+   *   (or a function receiving the value and returning the TTL)
+   * @param {Object} options - Extra options
+   * @param {number} options.staleTtl - Seconds the value may be served stale after the soft TTL
+   * @param {string[]|Function} options.dependsOn - Keys this value was built from
+   *   (or a function receiving the value and returning them)
    * @returns {boolean} Success status
    */
-  set: (key, value, ttl) => {
-    return cache.set(key, value, ttl)
+  set: (key, value, ttl = DEFAULT_TTL, options = {}) => {
+    if (typeof ttl === 'function') {
+      ttl = ttl(value)
+    }
+
+    const now = Date.now()
+    const staleFactor = parseFloat(process.env.CACHE_STALE_FACTOR) || DEFAULT_STALE_FACTOR
+    const staleTtl = options.staleTtl ?? Math.round(ttl * staleFactor)
+
+    const dependsOn = typeof options.dependsOn === 'function'
+      ? options.dependsOn(value)
+      : options.dependsOn
+
+    const entry = {
+      value,
+      storedAt: now,
+      freshUntil: ttl === 0 ? 0 : now + ttl * 1000,
+      dependsOn: dependsOn || []
+    }
+
+    // Hard TTL: soft TTL + stale window (0 keeps the entry forever)
+    return cache.set(key, entry, ttl === 0 ? 0 : ttl + staleTtl)
+  },
+
+  /**
+   * Stale-while-revalidate read
+   * - Fresh entry: returned as is
+   * - Stale entry: returned right away, a single background refresh is started
+   * - Missing entry: fetched, cached and returned (concurrent misses share one fetch)
+   * @param {string} key - Cache key
+   * @param {Function} fetcher - Async function producing the value on a miss
+   * @param {number|Function} ttl - Soft TTL in seconds (or function of the value)
+   * @param {Object} options - Options passed to set()
+   * @returns {Promise<any>} Cached or fetched value
+   */
+  wrap: async (key, fetcher, ttl, options = {}) => {
+    const entry = cache.get(key)
+
+    // Inside refreshAhead() / refreshOlderThan(), entries matching the job's rule are refetched
+    const shouldRefresh = refreshStorage.getStore()
+
+    if (entry && shouldRefresh?.(entry)) {
+      recordCacheLookup(key, 'refresh')
+      return load(key, fetcher, ttl, options)
+    }
+
+    if (entry && isFresh(entry)) {
+      recordCacheLookup(key, 'hit')
+      markStatus('fresh')
+      return entry.value
+    }
+
+    if (entry) {
+      recordCacheLookup(key, 'stale')
+      markStatus('stale')
+      revalidate(key, fetcher, ttl, options)
+      return entry.value
+    }
+
+    recordCacheLookup(key, 'miss')
+    const value = await load(key, fetcher, ttl, options)
+    markStatus('fresh')
+
+    return value
+  },
+
+  /**
+   * Run a function that refetches every entry it reads which would
+   * stop being fresh within the given window (used by the cache warmer)
+   * Entries refreshed recently (e.g. by another job) are left alone
+   * @param {number} windowMs - Refresh entries whose soft TTL ends within this many ms
+   * @param {Function} fn - Function to run
+   * @returns {any} Return value of fn
+   */
+  refreshAhead: (windowMs, fn) => {
+    return refreshStorage.run(entry => entry.freshUntil !== 0 && entry.freshUntil < Date.now() + windowMs, fn)
+  },
+
+  /**
+   * Run a function that refetches every entry it reads which was stored
+   * more than maxAgeMs ago, whatever its TTL (used by the live feeds,
+   * which poll more often than the data's TTL)
+   * @param {number} maxAgeMs - Refresh entries older than this many ms
+   * @param {Function} fn - Function to run
+   * @returns {any} Return value of fn
+   */
+  refreshOlderThan: (maxAgeMs, fn) => {
+    return refreshStorage.run(entry => entry.storedAt < Date.now() - maxAgeMs, fn)
+  },
+
+  /**
+   * Run a function while tracking how fresh the cached data it reads is
+   * @param {Object} tracker - Object receiving the status ("fresh" or "stale")
+   * @param {Function} fn - Function to run
+   * @returns {any} Return value of fn
+   */
+  trackStatus: (tracker, fn) => {
+    return statusStorage.run(tracker, fn)
   },
 
   /**
@@ -41,20 +319,75 @@ export const cacheService = {
   },
 
   /**
-   * Delete all keys matching a pattern
+   * Delete a key and every entry built from it (recursively)
+   * @param {string|string[]} keys - Cache key(s) to invalidate
+   * @returns {string[]} Keys that were actually deleted
+   */
+  invalidate: (keys) => {
+    const queue = Array.isArray(keys) ? [...keys] : [keys]
+    const visited = new Set()
+    const deleted = []
+
+    while (queue.length > 0) {
+      const key = queue.shift()
+      if (visited.has(key)) continue
+      visited.add(key)
+
+      // Read dependents before deleting, deletion unlinks the key
+      const children = [...(dependents.get(key) || [])]
+      if (cache.del(key) > 0) {
+        deleted.push(key)
+      }
+      queue.push(...children)
+    }
+
+    return deleted
+  },
+
+  /**
+   * Invalidate all keys matching a pattern (and their dependents)
    * @param {string} pattern - Pattern to match (e.g., "clan:*")
    * @returns {number} Number of deleted entries
    */
   delPattern: (pattern) => {
-    const keys = cache.keys()
-    const regex = new RegExp(pattern.replace('*', '.*'))
-    const matchingKeys = keys.filter(key => regex.test(key))
+    const regex = patternToRegex(pattern)
+    const matchingKeys = cache.keys().filter(key => regex.test(key))
     
-    if (matchingKeys.length > 0) {
-      cache.del(matchingKeys)
+    if (matchingKeys.length === 0) {
+      return 0
     }
     
-    return matchingKeys.length
+    return cacheService.invalidate(matchingKeys).length
+  },
+
+  /**
+   * Describe the dependency tree of a key
+   * @param {string} key - Cache key
+   * @returns {Object} { key, cached, dependsOn, dependents: [tree...] }
+   */
+  getDependencyTree: (key) => {
+    const build = (currentKey, visited) => {
+      const node = {
+        key: currentKey,
+        cached: cache.has(currentKey),
+        dependsOn: parentsOf.get(currentKey) || [],
+        dependents: []
+      }
+
+      // Guard against cycles
+      if (visited.has(currentKey)) {
+        node.circular = true
+        return node
+      }
+
+      const nextVisited = new Set(visited).add(currentKey)
+      node.dependents = [...(dependents.get(currentKey) || [])]
+        .map(child => build(child, nextVisited))
+
+      return node
+    }
+
+    return build(key, new Set())
   },
 
   /**
@@ -72,11 +405,16 @@ export const cacheService = {
     const stats = cache.getStats()
     return {
       keys: stats.keys,
+      inflight: inflight.size,
       hits: stats.hits,
       misses: stats.misses,
       ksize: stats.ksize,
       vsize: stats.vsize,
-      hitRate: stats.hits > 0 ? ((stats.hits / (stats.hits + stats.misses)) * 100).toFixed(2) + '%' : '0%'
+      hitRate: stats.hits > 0 ? ((stats.hits / (stats.hits + stats.misses)) * 100).toFixed(2) + '%' : '0%',
+      driver: getDriver().name,
+      lastSnapshotAt: persistence.lastSnapshotAt,
+      lastSnapshotKeys: persistence.lastSnapshotKeys,
+      restoredKeys: persistence.restoredKeys
     }
   },
 
@@ -95,6 +433,78 @@ export const cacheService = {
    */
   keys: () => {
     return cache.keys()
+  },
+
+  /**
+   * Save all live entries (with their expiry time) through the driver
+   * @returns {Promise<number>} Number of entries saved
+   */
+  snapshot: async () => {
+    if (!getDriver().persistent) {
+      return 0
+    }
+
+    const entries = cache.keys()
+      .map(key => ({
+        key,
+        value: cache.get(key),
+        expiresAt: cache.getTtl(key) || 0
+      }))
+      .filter(entry => entry.value !== undefined)
+
+    await getDriver().save(entries)
+
+    persistence.lastSnapshotAt = new Date().toISOString()
+    persistence.lastSnapshotKeys = entries.length
+
+    return entries.length
+  },
+
+  /**
+   * Load the last snapshot back into memory, keeping only the remaining TTL
+   * Entries that expired while the server was down are skipped
+   * @returns {Promise<number>} Number of entries restored
+   */
+  restore: async () => {
+    const entries = await getDriver().load()
+    const now = Date.now()
+    let restored = 0
+
+    entries.forEach(({ key, value, expiresAt }) => {
+      if (expiresAt === 0) {
+        cache.set(key, value, 0)
+        restored++
+        return
+      }
+
+      const remainingSeconds = Math.floor((expiresAt - now) / 1000)
+      if (remainingSeconds > 0) {
+        cache.set(key, value, remainingSeconds)
+        restored++
+      }
+    })
+
+    persistence.restoredKeys = restored
+    return restored
+  },
+
+  /**
+   * Periodically snapshot the cache so a crash loses at most one interval
+   * @param {number} intervalSeconds - Seconds between snapshots
+   */
+  startSnapshots: (intervalSeconds) => {
+    if (!getDriver().persistent || snapshotTimer || !intervalSeconds) {
+      return
+    }
+
+    snapshotTimer = setInterval(() => {
+      cacheService.snapshot().catch(error => {
+        console.error('Error saving cache snapshot:', error.message)
+      })
+    }, intervalSeconds * 1000)
+
+    // Don't keep the process alive just for snapshots
+    snapshotTimer.unref()
   }
 }
 
@@ -107,6 +517,8 @@ export const CACHE_TTL = {
   GOOGLE_SHEETS: 900,     // 15 minutes - Google Sheets data
   STATS: 600,             // 10 minutes - Aggregated stats
   CWL_FILTERED: 600,      // 10 minutes - Filtered CWL clans
+  PLAYER: 600,            // 10 minutes - Player profiles
+  CWL_ENDED: 604800,      // 7 days - Finished CWL rounds never change
 }
 
 export default cacheService
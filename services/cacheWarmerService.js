@@ -0,0 +1,126 @@
+import { cacheService } from './cacheService.js'
+import { createScheduledJob } from './schedulerService.js'
+import { fetchTrinityClansFromSheet } from './googleSheetsService.js'
+import { getMultipleClans } from './clashOfClansService.js'
+import { getAllCWLClansMerged, getCWLClansFiltered } from './cwlService.js'
+import { getTrinityFamilyStats } from './statsService.js'
+
+// Default intervals (in seconds) - shorter than the soft TTLs they keep warm
+const DEFAULT_FAMILY_INTERVAL = 480  // CLAN_BASIC / STATS are 10 minutes
+const DEFAULT_CWL_INTERVAL = 480     // CWL_FILTERED is 10 minutes
+const DEFAULT_JITTER = 30
+
+let jobs = null
+
+/**
+ * Read warmer settings from the environment (in seconds)
+ * @returns {Object} Warmer settings
+ */
+const getConfig = () => ({
+  enabled: process.env.CACHE_WARMER_ENABLED !== 'false',
+  familyInterval: parseInt(process.env.CACHE_WARMER_FAMILY_INTERVAL) || DEFAULT_FAMILY_INTERVAL,
+  cwlInterval: parseInt(process.env.CACHE_WARMER_CWL_INTERVAL) || DEFAULT_CWL_INTERVAL,
+  jitter: parseInt(process.env.CACHE_WARMER_JITTER) || DEFAULT_JITTER
+})
+
+/**
+ * Refresh the Trinity clan list, every family clan and the family stats
+ * @param {number} windowMs - Refresh entries going stale within this window
+ * @returns {Promise<Object>} Run summary
+ */
+const warmFamily = (windowMs) => cacheService.refreshAhead(windowMs, async () => {
+  const clanTags = await fetchTrinityClansFromSheet()
+  const clans = await getMultipleClans(clanTags)
+
+  // getMultipleClans swallows per-clan errors, treat a total failure as a CoC outage
+  if (clanTags.length > 0 && clans.length === 0) {
+    throw new Error('No family clan could be fetched from CoC API')
+  }
+
+  await getTrinityFamilyStats()
+
+  return {
+    clans: clans.length,
+    failedClans: clanTags.length - clans.length
+  }
+})
+
+/**
+ * Refresh the merged and filtered CWL clan data
+ * @param {number} windowMs - Refresh entries going stale within this window
+ * @returns {Promise<Object>} Run summary
+ */
+const warmCWL = (windowMs) => cacheService.refreshAhead(windowMs, async () => {
+  const clans = await getAllCWLClansMerged()
+  const visibleClans = await getCWLClansFiltered()
+
+  return {
+    clans: clans.length,
+    visibleClans: visibleClans.length
+  }
+})
+
+/**
+ * Start the cache warmer jobs
+ */
+export const startCacheWarmer = () => {
+  const config = getConfig()
+
+  if (!config.enabled || jobs) {
+    return
+  }
+
+  // Refresh anything that would go stale before the job runs again
+  const familyInterval = config.familyInterval * 1000
+  const cwlInterval = config.cwlInterval * 1000
+  const jitter = config.jitter * 1000
+
+  jobs = {
+    family: createScheduledJob({
+      name: 'warm-family',
+      interval: familyInterval,
+      jitter,
+      run: () => warmFamily(familyInterval + jitter)
+    }),
+    cwl: createScheduledJob({
+      name: 'warm-cwl',
+      interval: cwlInterval,
+      jitter,
+      run: () => warmCWL(cwlInterval + jitter)
+    })
+  }
+
+  // First run shortly after boot (a restored snapshot may already be stale)
+  jobs.family.start(5000 + Math.random() * jitter)
+  jobs.cwl.start(15000 + Math.random() * jitter)
+
+  console.log(`🔥 Cache warmer started (family every ${config.familyInterval}s, CWL every ${config.cwlInterval}s)`)
+}
+
+/**
+ * Stop the cache warmer jobs
+ */
+export const stopCacheWarmer = () => {
+  if (!jobs) return
+
+  Object.values(jobs).forEach(job => job.stop())
+  jobs = null
+}
+
+/**
+ * Get the warmer status for the health endpoint
+ * @returns {Object} { enabled, jobs: { family, cwl } }
+ */
+export const getCacheWarmerStatus = () => {
+  if (!jobs) {
+    return { enabled: false, jobs: {} }
+  }
+
+  return {
+    enabled: true,
+    jobs: {
+      family: jobs.family.getStatus(),
+      cwl: jobs.cwl.getStatus()
+    }
+  }
+}
@@ -0,0 +1,237 @@
+import { cacheService } from './cacheService.js'
+import { createScheduledJob } from './schedulerService.js'
+import { getClanDetails, getCurrentWar } from './clashOfClansService.js'
+import { createRosterSnapshot, diffRoster } from './rosterHistoryService.js'
+import { flattenAttacks } from './warArchiveService.js'
+import { parseTag } from '../utils/tags.js'
+
+// Sockets join "clan:<tag>" rooms with subscribe:clan
+export const CLAN_ROOM_PREFIX = 'clan:'
+
+// Socket.IO event emitted for each roster event type
+const ROSTER_FEED_EVENTS = {
+  join: 'clan:member_joined',
+  leave: 'clan:member_left',
+  role_change: 'clan:role_changed',
+  townhall_upgrade: 'clan:townhall_upgraded',
+  name_change: 'clan:member_renamed'
+}
+
+// Clan fields reported by clan:settings_changed
+const SETTINGS_FIELDS = [
+  'name',
+  'description',
+  'type',
+  'location',
+  'badgeUrls',
+  'requiredTrophies',
+  'requiredTownHallLevel',
+  'warFrequency',
+  'isWarLogPublic'
+]
+
+const DEFAULT_INTERVAL = 60
+
+let io = null
+let job = null
+
+// Last state seen per watched room: { roster, settings, war }
+const previousStates = new Map()
+
+/**
+ * Read feed settings from the environment (in seconds)
+ * @returns {Object} Feed settings
+ */
+const getConfig = () => ({
+  enabled: process.env.CLAN_FEED_ENABLED !== 'false',
+  interval: parseInt(process.env.CLAN_FEED_INTERVAL) || DEFAULT_INTERVAL
+})
+
+/**
+ * Clan rooms with at least one socket in them
+ * @returns {Array<string>} Room names
+ */
+const getWatchedRooms = () => {
+  return [...io.of('/').adapter.rooms.keys()].filter(room => room.startsWith(CLAN_ROOM_PREFIX))
+}
+
+/**
+ * Compare the clan settings of two snapshots
+ * @param {Object} before - Previous settings
+ * @param {Object} after - Current settings
+ * @returns {Object|null} { [field]: { from, to } } or null if nothing changed
+ */
+const diffSettings = (before, after) => {
+  const changes = Object.fromEntries(SETTINGS_FIELDS
+    .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+    .map(field => [field, { from: before[field], to: after[field] }]))
+
+  return Object.keys(changes).length > 0 ? changes : null
+}
+
+/**
+ * Whether two war snapshots are the same war
+ * @param {Object} before - Previous war
+ * @param {Object} after - Current war
+ * @returns {boolean} True if both have the same preparation start
+ */
+const isSameWar = (before, after) => {
+  return Boolean(before.preparationStartTime && after.preparationStartTime) &&
+    new Date(before.preparationStartTime).getTime() === new Date(after.preparationStartTime).getTime()
+}
+
+/**
+ * Compare two war snapshots of a clan
+ * @param {Object} before - Previous war (getCurrentWar)
+ * @param {Object} after - Current war (getCurrentWar)
+ * @returns {Array<Object>} [{ event, payload }]
+ */
+const diffWar = (before, after) => {
+  const events = []
+  const opponent = after.opponent ? { tag: after.opponent.tag, name: after.opponent.name } : null
+
+  if (before.state !== after.state) {
+    events.push({ event: 'clan:war_state_changed', payload: { from: before.state, to: after.state, opponent } })
+  }
+
+  if (after.clan && isSameWar(before, after)) {
+    const seen = new Set(flattenAttacks(before).map(attack => attack.order))
+
+    for (const attack of flattenAttacks(after).filter(attack => !seen.has(attack.order))) {
+      events.push({ event: 'clan:war_attack', payload: { ...attack, opponent } })
+    }
+  }
+
+  return events
+}
+
+/**
+ * Fetch a watched clan and emit what changed since the last poll
+ * The first poll of a room only sets the baseline
+ * @param {string} room - Room name ("clan:<tag>")
+ * @returns {Promise<number>} Number of events emitted
+ */
+const pollRoom = async (room) => {
+  const clanTag = parseTag(room.slice(CLAN_ROOM_PREFIX.length), 'clanTag')
+  const at = new Date().toISOString()
+  const clan = await getClanDetails(clanTag)
+
+  // Private war logs (and war API hiccups) shouldn't stop the roster feed
+  const war = await getCurrentWar(clanTag).catch(() => null)
+
+  const state = {
+    roster: createRosterSnapshot(clan, at),
+    settings: Object.fromEntries(SETTINGS_FIELDS.map(field => [field, clan[field]])),
+    war
+  }
+  const previous = previousStates.get(room)
+  const events = []
+
+  previousStates.set(room, { ...state, war: war || previous?.war || null })
+
+  if (!previous) {
+    return 0
+  }
+
+  for (const rosterEvent of diffRoster(clan, previous.roster, at)) {
+    events.push({ event: ROSTER_FEED_EVENTS[rosterEvent.type], payload: rosterEvent })
+  }
+
+  const settingsChanges = diffSettings(previous.settings, state.settings)
+
+  if (settingsChanges) {
+    events.push({ event: 'clan:settings_changed', payload: { changes: settingsChanges } })
+  }
+
+  if (previous.war && war) {
+    events.push(...diffWar(previous.war, war))
+  }
+
+  for (const { event, payload } of events) {
+    io.to(room).emit(event, { clanTag, at, ...payload })
+  }
+
+  return events.length
+}
+
+/**
+ * Poll every clan room that has listeners
+ * Clans and wars are cached for longer than the interval: entries not fetched
+ * since the previous poll are refetched so each poll sees current data
+ * @returns {Promise<Object>} Run summary
+ */
+const pollClans = () => cacheService.refreshOlderThan(getConfig().interval * 1000 / 2, async () => {
+  const rooms = getWatchedRooms()
+  let events = 0
+
+  for (const room of rooms) {
+    try {
+      events += await pollRoom(room)
+    } catch (error) {
+      console.warn(`⚠️  Clan feed skipped ${room}: ${error.message}`)
+    }
+  }
+
+  return { rooms: rooms.length, events }
+})
+
+/**
+ * Watch the Socket.IO clan rooms: poll while at least one has listeners
+ * @param {Object} server - Socket.IO server
+ */
+export const startClanFeed = (server) => {
+  const config = getConfig()
+
+  if (!config.enabled || job) {
+    return
+  }
+
+  io = server
+  job = createScheduledJob({
+    name: 'clan-feed',
+    interval: config.interval * 1000,
+    run: pollClans
+  })
+
+  const adapter = io.of('/').adapter
+
+  adapter.on('create-room', (room) => {
+    if (!room.startsWith(CLAN_ROOM_PREFIX) || !job) return
+
+    // Take the baseline right away, start() is a no-op while already polling
+    job.start(0)
+  })
+
+  adapter.on('delete-room', (room) => {
+    if (!room.startsWith(CLAN_ROOM_PREFIX) || !job) return
+
+    previousStates.delete(room)
+
+    if (getWatchedRooms().length === 0) {
+      job.stop()
+    }
+  })
+
+  console.log(`📡 Clan feed ready (polls subscribed clans every ${config.interval}s)`)
+}
+
+/**
+ * Stop the clan feed
+ */
+export const stopClanFeed = () => {
+  if (!job) return
+
+  job.stop()
+  job = null
+  previousStates.clear()
+}
+
+/**
+ * Get the feed status for the health endpoint
+ * @returns {Object} { enabled, rooms, job }
+ */
+export const getClanFeedStatus = () => ({
+  enabled: job !== null,
+  rooms: job ? getWatchedRooms().length : 0,
+  job: job ? job.getStatus() : null
+})
@@ -1,23 +1,56 @@
 import { Client } from 'clashofclans.js'
 import { cacheService, CACHE_TTL } from './cacheService.js'
+import { trackCoCRequest } from './metricsService.js'
+import { createRateLimiter } from './rateLimiter.js'
+import { attachCoCDataSource, getDataSource } from './dataSource.js'
+import {
+  AppError,
+  MaintenanceError,
+  NotFoundError,
+  PrivateWarLogError,
+  RateLimitedError,
+  UpstreamError,
+  UpstreamTimeoutError,
+  ValidationError
+} from '../utils/errors.js'
+import { parseTag, partitionTags } from '../utils/tags.js'
 
 // Initialize the Clash of Clans API client
 let client = null
 let clientInitializing = null // Promise to track ongoing initialization
 
-// Rate limiting configuration
-const REQUEST_POOL_SIZE = 5 // Max concurrent requests
-let activeRequests = 0
+// Login state reported by the health endpoint
+const authStatus = {
+  state: 'loggedOut', // loggedOut, loggingIn, loggedIn, failed
+  logins: 0,
+  relogins: 0,
+  lastLoginAt: null,
+  lastAuthFailureAt: null,
+  lastError: null
+}
+
+// Batch size for multi-tag fetches (pacing is done by the shared rate limiter)
+const REQUEST_POOL_SIZE = 5
+
+// Rate limiter defaults (overridable with COC_RATE_* environment variables)
+const DEFAULT_RATE = 10        // requests per second
+const DEFAULT_BURST = 10
+const DEFAULT_MAX_QUEUE = 200
+const DEFAULT_MAX_RETRIES = 3
+
+let limiter = null
 
 /**
  * Initialize the CoC API client with email and password
  * Uses a promise to prevent race conditions during concurrent requests
+ * With DATA_SOURCE=fixtures no login happens, responses come from fixture files
  */
 export const initializeCoCClient = async () => {
   const email = process.env.COC_EMAIL
   const password = process.env.COC_PASSWORD
+  const useFixtures = getDataSource() === 'fixtures'
   
-  if (!email || !password) {
+  if (!useFixtures && (!email || !password)) {
     throw new Error('COC_EMAIL and COC_PASSWORD must be set in .env file')
   }
 
@@ -33,121 +66,303 @@ export const initializeCoCClient = async () => {
 
   // Start new initialization
   clientInitializing = (async () => {
+    authStatus.state = 'loggingIn'
+
     try {
       const newClient = new Client({ 
         timeout: 15000 // Increased timeout for better reliability
       })
       
       // Login with email and password
-      await newClient.login({ email, password })
+      if (!useFixtures) {
+        await newClient.login({ email, password })
+      }
       
-      client = newClient
+      client = attachCoCDataSource(newClient)
+      authStatus.state = 'loggedIn'
+      authStatus.logins++
+      authStatus.lastLoginAt = new Date().toISOString()
+      authStatus.lastError = null
       
       return client
     } catch (error) {
       console.error('Failed to authenticate with Clash of Clans API:', error.message)
       client = null
+      authStatus.state = 'failed'
+      authStatus.lastError = error.message
       throw error
-    } finally {
-      clientInitializing = null
     }
-  })()
+  })().finally(() => {
+    // Cleared once settled: without a login (fixtures) the body above runs synchronously,
+    // a finally block inside it would run before this assignment
+    clientInitializing = null
+  })
 
   return await clientInitializing
 }
 
+/**
+ * Whether a failed CoC API call is worth retrying
+ * Throttling (429), maintenance/unavailable (503) and timeouts are transient
+ * @param {Error} error - Error thrown by clashofclans.js
+ * @returns {boolean} True if the call should be retried
+ */
+const isRetryableError = (error) => {
+  return [429, 503, 504].includes(error.status) ||
+    ['AbortError', 'TimeoutError'].includes(error.name) ||
+    ['UND_ERR_ABORTED', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT', 'ECONNRESET'].includes(error.code)
+}
+
+/**
+ * Read the delay the CoC API asks for before calling again
+ * clashofclans.js doesn't expose the response headers of errors (no Retry-After),
+ * only maxAge: the Cache-Control max-age of the response, in milliseconds
+ * @param {Error} error - Error thrown by clashofclans.js
+ * @returns {number|null} Delay in milliseconds, null if the response didn't set one
+ */
+const getRetryAfter = (error) => {
+  return error.maxAge > 0 ? error.maxAge : null
+}
+
+/**
+ * Get the shared CoC API rate limiter
+ * Created on first use so settings from .env are loaded
+ * @returns {Object} Rate limiter
+ */
+const getLimiter = () => {
+  if (!limiter) {
+    limiter = createRateLimiter({
+      name: 'CoC API',
+      rate: parseFloat(process.env.COC_RATE_LIMIT) || DEFAULT_RATE,
+      burst: parseInt(process.env.COC_RATE_BURST) || DEFAULT_BURST,
+      maxQueue: parseInt(process.env.COC_RATE_MAX_QUEUE) || DEFAULT_MAX_QUEUE,
+      maxRetries: parseInt(process.env.COC_RATE_MAX_RETRIES) || DEFAULT_MAX_RETRIES,
+      shouldRetry: isRetryableError,
+      getRetryAfter
+    })
+  }
+
+  return limiter
+}
+
+/**
+ * Whether a CoC API error means our key or session is no longer valid
+ * (revoked key, expired developer-site session, IP changed)
+ * A private war log is also a 403 but has its own reason
+ * @param {Error} error - Error thrown by clashofclans.js
+ * @returns {boolean} True if logging in again may fix the call
+ */
+const isAuthError = (error) => {
+  return error.status === 403 && (error.reason || '').startsWith('accessDenied')
+}
+
+/**
+ * Convert a clashofclans.js error into a typed application error
+ * Errors without an HTTP status (e.g. missing credentials) are returned as is
+ * @param {Error} error - Error thrown by clashofclans.js or the rate limiter
+ * @returns {Error} Typed error
+ */
+const toAppError = (error) => {
+  if (error instanceof AppError) {
+    return error
+  }
+
+  const path = error.path ? decodeURIComponent(error.path) : 'resource'
+
+  if (error.reason === 'queueFull') {
+    return new RateLimitedError('Too many pending Clash of Clans API requests, try again later', 5)
+  }
+
+  if (error.reason === 'privateWarLog') {
+    return new PrivateWarLogError()
+  }
+
+  if (isAuthError(error)) {
+    return new UpstreamError('Clash of Clans API rejected our credentials', 'UPSTREAM_AUTH_FAILED')
+  }
+
+  if (['AbortError', 'TimeoutError'].includes(error.name) || error.code === 'UND_ERR_ABORTED') {
+    return new UpstreamTimeoutError('Clash of Clans API did not respond in time')
+  }
+
+  switch (error.status) {
+    case 400:
+      return new ValidationError(error.message)
+    case 404:
+      return new NotFoundError(`Not found in Clash of Clans API: ${path}`)
+    case 429:
+      return new RateLimitedError('Clash of Clans API is throttling our requests, try again later', Math.ceil((getRetryAfter(error) ?? 5000) / 1000))
+    case 503:
+      return new MaintenanceError()
+    case 504:
+      return new UpstreamTimeoutError('Clash of Clans API did not respond in time')
+    case undefined:
+      return error
+    default:
+      return new UpstreamError(`Clash of Clans API error (${error.status}): ${error.message}`)
+  }
+}
+
+/**
+ * Send a CoC API call through the shared rate limiter
+ * On an auth failure the stale client is dropped, we log in again and the call is replayed once
+ * Failures are thrown as typed errors (see utils/errors.js)
+ * @param {string} operation - Client method name (used in metrics)
+ * @param {Function} call - Receives the logged in client and performs the call
+ * @returns {Promise<any>} Result of the call
+ */
+const cocRequest = async (operation, call) => {
+  let usedClient = null
+
+  const send = () => getLimiter().schedule(async () => {
+    usedClient = await initializeCoCClient()
+
+    return trackCoCRequest(operation, () => call(usedClient))
+  }).catch(error => {
+    throw toAppError(error)
+  })
+
+  try {
+    return await send()
+  } catch (error) {
+    if (error.code !== 'UPSTREAM_AUTH_FAILED') {
+      throw error
+    }
+
+    authStatus.lastAuthFailureAt = new Date().toISOString()
+
+    // Concurrent failures share one re-login: only the first one drops the client,
+    // the others wait on the same initialization in initializeCoCClient()
+    if (client === usedClient) {
+      console.warn('🔑 CoC API rejected our credentials, logging in again')
+      client = null
+      authStatus.state = 'loggedOut'
+      authStatus.relogins++
+    }
+
+    return send()
+  }
+}
+
+/**
+ * Get CoC API login state for the health endpoint
+ * @returns {Object} Login state, login counts and last successful login time
+ */
+export const getCoCClientStatus = () => ({ ...authStatus })
+
+/**
+ * Get CoC API rate limiter stats for the health endpoint
+ * @returns {Object} Queue length, available tokens, throttle and retry counts
+ */
+export const getRateLimiterStats = () => getLimiter().getStats()
+
 /**
  * Fetch clan details by clan tag
  * @param {string} clanTag - Clan tag (with or without #)
  * @returns {Promise<Object>} Clan data
  */
 export const getClanDetails = async (clanTag) => {
-  const formattedTag = clanTag.startsWith('#') ? clanTag : `#${clanTag}`
+  const formattedTag = parseTag(clanTag, 'clanTag')
   const cacheKey = `clan:${formattedTag}`
   
-  // Check cache first
-  const cached = cacheService.get(cacheKey)
-  if (cached) {
-    return cached
-  }
-  
-  try {
-    const cocClient = await initializeCoCClient()
+  return cacheService.wrap(cacheKey, async () => {
+    try {
+      const clan = await cocRequest('getClan', cocClient => cocClient.getClan(formattedTag))
     
-    if (!cocClient) {
-      throw new Error('CoC API client not initialized')
-    }
+      // Find the leader from the member list
+      const leader = clan.members?.find(member => member.role === 'leader')
     
-    const clan = await cocClient.getClan(formattedTag)
+      // Extract badge URLs - Badge class has small, medium, large properties
+      const badgeUrls = {
+        small: clan.badge?.small || '',
+        medium: clan.badge?.medium || '',
+        large: clan.badge?.large || '',
+      }
     
-    // Find the leader from the member list
-    const leader = clan.members?.find(member => member.role === 'leader')
+      // Extract member list with relevant details
+      const memberList = clan.members?.map(member => ({
+        name: member.name,
+        tag: member.tag,
+        role: member.role,
+        expLevel: member.expLevel || 0,
+        townHallLevel: member.townHallLevel || 0,
+        trophies: member.trophies || 0,
+        clanRank: member.clanRank || 0,
+        donations: member.donations || 0,
+        donationsReceived: member.received || 0, // clashofclans.js names it "received"
+      })) || []
     
-    // Extract badge URLs - Badge class has small, medium, large properties
-    const badgeUrls = {
-      small: clan.badge?.small || '',
-      medium: clan.badge?.medium || '',
-      large: clan.badge?.large || '',
-    }
-    
-    // Extract member list with relevant details
-    const memberList = clan.members?.map(member => ({
-      name: member.name,
-      tag: member.tag,
-      role: member.role,
-      expLevel: member.expLevel || 0,
-      townHallLevel: member.townHallLevel || 0,
-      trophies: member.trophies || 0,
-      clanRank: member.clanRank || 0,
-      donations: member.donations || 0,
-      donationsReceived: member.donationsReceived || 0,
-    })) || []
+      const clanData = {
+        tag: clan.tag,
+        name: clan.name,
+        description: clan.description || 'No description available',
+        type: clan.type, // open, inviteOnly, closed
+        location: clan.location ? {
+          id: clan.location.id,
+          name: clan.location.name,
+          isCountry: clan.location.isCountry,
+          countryCode: clan.location.countryCode
+        } : null,
+        badgeUrls: badgeUrls,
+        clanLevel: clan.level || 0,
+        clanCapitalLevel: clan.clanCapital?.capitalHallLevel || 0,
+        clanPoints: clan.points || 0,
+        clanVersusPoints: clan.builderBasePoints || 0,
+        warWins: clan.warWins || 0,
+        warWinStreak: clan.warWinStreak || 0,
+        warLeague: clan.warLeague ? {
+          id: clan.warLeague.id,
+          name: clan.warLeague.name
+        } : null,
+        members: clan.memberCount || 0,
+        memberList: memberList,
+        leader: leader ? {
+          name: leader.name,
+          tag: leader.tag,
+          trophies: leader.trophies || 0,
+          townHallLevel: leader.townHallLevel || 0,
+          expLevel: leader.expLevel || 0,
+        } : null,
+        requiredTrophies: clan.requiredTrophies || 0,
+        requiredTownHallLevel: clan.requiredTownHallLevel || 1,
+        warFrequency: clan.warFrequency || 'unknown',
+        isWarLogPublic: clan.isWarLogPublic || false,
+      }
     
-    const clanData = {
-      tag: clan.tag,
-      name: clan.name,
-      description: clan.description || 'No description available',
-      type: clan.type, // open, inviteOnly, closed
-      location: clan.location ? {
-        id: clan.location.id,
-        name: clan.location.name,
-        isCountry: clan.location.isCountry,
-        countryCode: clan.location.countryCode
-      } : null,
-      badgeUrls: badgeUrls,
-      clanLevel: clan.level || 0,
-      clanCapitalLevel: clan.clanCapital?.capitalHallLevel || 0,
-      clanPoints: clan.points || 0,
-      clanVersusPoints: clan.builderBasePoints || 0,
-      warWins: clan.warWins || 0,
-      warWinStreak: clan.warWinStreak || 0,
-      warLeague: clan.warLeague ? {
-        id: clan.warLeague.id,
-        name: clan.warLeague.name
-      } : null,
-      members: clan.memberCount || 0,
-      memberList: memberList,
-      leader: leader ? {
-        name: leader.name,
-        tag: leader.tag,
-        trophies: leader.trophies || 0,
-        townHallLevel: leader.townHallLevel || 0,
-        expLevel: leader.expLevel || 0,
-      } : null,
-      requiredTrophies: clan.requiredTrophies || 0,
-      requiredTownHallLevel: clan.requiredTownHallLevel || 1,
-      warFrequency: clan.warFrequency || 'unknown',
-      isWarLogPublic: clan.isWarLogPublic || false,
+      return clanData
+    } catch (error) {
+      console.error(`Error fetching clan ${clanTag}:`, error.message)
+      throw error
     }
+  }, CACHE_TTL.CLAN_BASIC)
+}
+
+/**
+ * Fetch many items with intelligent batching
+ * Runs REQUEST_POOL_SIZE fetches at a time, the rate limiter paces the actual API calls
+ * @param {Array<string>} tags - Tags to fetch
+ * @param {Function} fetchOne - Async function fetching a single tag
+ * @param {string} label - Item label for logs (e.g. "clan")
+ * @returns {Promise<Array<Object>>} Fetched items (failed fetches are skipped)
+ */
+const fetchInBatches = async (tags, fetchOne, label) => {
+  const results = []
+  for (let i = 0; i < tags.length; i += REQUEST_POOL_SIZE) {
+    const batch = tags.slice(i, i + REQUEST_POOL_SIZE)
     
-    // Cache the result
-    cacheService.set(cacheKey, clanData, CACHE_TTL.CLAN_BASIC)
+    const batchPromises = batch.map(tag => 
+      fetchOne(tag).catch(error => {
+        console.error(`Failed to fetch ${label} ${tag}:`, error.message)
+        return null
+      })
+    )
     
-    return clanData
-  } catch (error) {
-    console.error(`Error fetching clan ${clanTag}:`, error.message)
-    throw error
+    const batchResults = await Promise.all(batchPromises)
+    results.push(...batchResults)
   }
+  
+  // Remove null values (failed requests)
+  return results.filter(Boolean)
 }
 
 /**
@@ -157,8 +372,12 @@ export const getClanDetails = async (clanTag) => {
  */
 export const getMultipleClans = async (clanTags) => {
   try {
-    // Filter out invalid tags
-    const validTags = clanTags.filter(tag => tag && tag !== '#YOUR_CLAN_TAG')
+    // Canonicalize tags, dropping invalid ones and duplicates
+    const { valid: validTags, invalid } = partitionTags(clanTags)
+    
+    if (invalid.length > 0) {
+      console.warn(`Skipping invalid clan tags: ${invalid.join(', ')}`)
+    }
     
     if (validTags.length === 0) {
       console.warn('No valid clan tags provided')
@@ -166,114 +385,355 @@ export const getMultipleClans = async (clanTags) => {
     }
 
     // Process in batches to avoid overwhelming the API
-    const results = []
-    for (let i = 0; i < validTags.length; i += REQUEST_POOL_SIZE) {
-      const batch = validTags.slice(i, i + REQUEST_POOL_SIZE)
+    return await fetchInBatches(validTags, getClanDetails, 'clan')
+  } catch (error) {
+    console.error('Error fetching multiple clans:', error)
+    throw error
+  }
+}
+
+/**
+ * Fetch player profile by player tag
+ * @param {string} playerTag - Player tag (with or without #)
+ * @returns {Promise<Object>} Player data
+ */
+export const getPlayerDetails = async (playerTag) => {
+  const formattedTag = parseTag(playerTag, 'playerTag')
+  const cacheKey = `player:${formattedTag}`
+  
+  return cacheService.wrap(cacheKey, async () => {
+    try {
+      const player = await cocRequest('getPlayer', cocClient => cocClient.getPlayer(formattedTag))
       
-      const batchPromises = batch.map(tag => 
-        getClanDetails(tag).catch(error => {
-          console.error(`Failed to fetch clan ${tag}:`, error.message)
-          return null
-        })
-      )
+      // Units share the same shape (Troop, Spell, Hero and Equipment classes)
+      const formatUnit = (unit) => ({
+        name: unit.name,
+        level: unit.level || 0,
+        maxLevel: unit.maxLevel || 0,
+        village: unit.village || 'home',
+      })
       
-      const batchResults = await Promise.all(batchPromises)
-      results.push(...batchResults)
+      // Newer clashofclans.js versions expose leagueTier instead of league
+      const league = player.leagueTier || player.league
       
-      // Small delay between batches to be nice to the API
-      if (i + REQUEST_POOL_SIZE < validTags.length) {
-        await new Promise(resolve => setTimeout(resolve, 100))
+      return {
+        tag: player.tag,
+        name: player.name,
+        expLevel: player.expLevel || 0,
+        townHallLevel: player.townHallLevel || 0,
+        townHallWeaponLevel: player.townHallWeaponLevel || null,
+        builderHallLevel: player.builderHallLevel || null,
+        trophies: player.trophies || 0,
+        bestTrophies: player.bestTrophies || 0,
+        warStars: player.warStars || 0,
+        attackWins: player.attackWins || 0,
+        defenseWins: player.defenseWins || 0,
+        donations: player.donations || 0,
+        donationsReceived: player.received || 0,
+        clanCapitalContributions: player.clanCapitalContributions || 0,
+        warOptedIn: player.warOptedIn ?? null,
+        role: player.role || null,
+        league: league ? {
+          id: league.id,
+          name: league.name,
+          iconUrls: {
+            small: league.icon?.small || '',
+            medium: league.icon?.medium || '',
+          }
+        } : null,
+        clan: player.clan ? {
+          tag: player.clan.tag,
+          name: player.clan.name,
+          clanLevel: player.clan.level || 0,
+          badgeUrls: {
+            small: player.clan.badge?.small || '',
+            medium: player.clan.badge?.medium || '',
+            large: player.clan.badge?.large || '',
+          }
+        } : null,
+        heroes: (player.heroes || []).map(hero => ({
+          ...formatUnit(hero),
+          equipment: (hero.equipment || []).map(formatUnit)
+        })),
+        heroEquipment: (player.heroEquipment || []).map(formatUnit),
+        troops: (player.troops || []).map(formatUnit),
+        spells: (player.spells || []).map(formatUnit),
+        achievements: (player.achievements || []).map(achievement => ({
+          name: achievement.name,
+          stars: achievement.stars || 0,
+          value: achievement.value || 0,
+          target: achievement.target || 0,
+          info: achievement.info || '',
+          completionInfo: achievement.completionInfo || null,
+          village: achievement.village || 'home',
+        })),
       }
+    } catch (error) {
+      console.error(`Error fetching player ${playerTag}:`, error.message)
+      throw error
+    }
+  }, CACHE_TTL.PLAYER)
+}
+
+/**
+ * Fetch multiple players with intelligent batching
+ * @param {Array<string>} playerTags - Array of player tags
+ * @returns {Promise<Array<Object>>} Array of player data
+ */
+export const getMultiplePlayers = async (playerTags) => {
+  try {
+    const { valid: validTags, invalid } = partitionTags(playerTags)
+    
+    if (invalid.length > 0) {
+      console.warn(`Skipping invalid player tags: ${invalid.join(', ')}`)
     }
     
-    // Remove null values (failed requests)
-    return results.filter(Boolean)
+    if (validTags.length === 0) {
+      console.warn('No valid player tags provided')
+      return []
+    }
+
+    // Process in batches to avoid overwhelming the API
+    return await fetchInBatches(validTags, getPlayerDetails, 'player')
   } catch (error) {
-    console.error('Error fetching multiple clans:', error)
+    console.error('Error fetching multiple players:', error)
     throw error
   }
 }
 
+/**
+ * Verify a player's in-game API token (Settings > More Settings > API Token)
+ * Never cached, every verification must hit the API
+ * @param {string} playerTag - Player tag (with or without #)
+ * @param {string} token - Player API token
+ * @returns {Promise<boolean>} True if the token belongs to the player
+ */
+export const verifyPlayerToken = async (playerTag, token) => {
+  const formattedTag = parseTag(playerTag, 'playerTag')
+  
+  try {
+    return await cocRequest('verifyPlayerToken', cocClient => cocClient.verifyPlayerToken(formattedTag, token))
+  } catch (error) {
+    console.error(`Error verifying token for player ${playerTag}:`, error.message)
+    throw error
+  }
+}
+
+/**
+ * Format a war attack into a plain object
+ * @param {Object} attack - ClanWarAttack from clashofclans.js
+ * @returns {Object} Attack
+ */
+const formatWarAttack = (attack) => ({
+  attackerTag: attack.attackerTag,
+  defenderTag: attack.defenderTag,
+  stars: attack.stars || 0,
+  destruction: attack.destruction || 0,
+  order: attack.order || 0,
+  duration: attack.duration || 0
+})
+
+/**
+ * Format a war member into a plain object (the library's members reference
+ * the whole war and lose their attacks once the war is gone)
+ * Keeps the fields the members were serialized with before
+ * (_bestOpponentAttackerTag) next to the API's names
+ * @param {Object} member - ClanWarMember from clashofclans.js
+ * @returns {Object} Member with its attacks
+ */
+const formatWarMember = (member) => {
+  const bestOpponentAttack = member.bestOpponentAttack
+
+  return {
+    tag: member.tag,
+    name: member.name,
+    mapPosition: member.mapPosition || 0,
+    townHallLevel: member.townHallLevel || 0,
+    attacks: (member.attacks || []).map(formatWarAttack),
+    defenseCount: member.defenseCount || 0,
+    opponentAttacks: member.defenseCount || 0,
+    bestOpponentAttack: bestOpponentAttack ? formatWarAttack(bestOpponentAttack) : null,
+    _bestOpponentAttackerTag: member._bestOpponentAttackerTag
+  }
+}
+
+/**
+ * Format a war (regular or CWL round) into a consistent structure
+ * According to clashofclans.js WarClan class documentation:
+ * - badge (not badgeUrls) with small, medium, large properties
+ * - destruction (not destructionPercentage)
+ * - attackCount (not attacks)
+ * - level (not clanLevel)
+ * @param {Object} war - ClanWar from clashofclans.js
+ * @returns {Object} Formatted war data
+ */
+const formatWar = (war) => {
+  // If not in war, return minimal data
+  if (war.state === 'notInWar') {
+    return {
+      state: 'notInWar'
+    }
+  }
+
+  const formatWarClan = (warClan) => warClan ? {
+    tag: warClan.tag || '',
+    name: warClan.name || 'Unknown',
+    badgeUrls: {
+      small: warClan.badge?.small || '',
+      medium: warClan.badge?.medium || '',
+      large: warClan.badge?.large || '',
+    },
+    clanLevel: warClan.level || 0,
+    attacks: warClan.attackCount || 0,
+    stars: warClan.stars || 0,
+    destructionPercentage: warClan.destruction || 0,
+    members: (warClan.members || []).map(formatWarMember)
+  } : null
+
+  return {
+    state: war.state || 'unknown',
+    teamSize: war.teamSize || 0,
+    attacksPerMember: war.attacksPerMember || (war.warTag ? 1 : 2),
+    warTag: war.warTag || null,
+    preparationStartTime: war.preparationStartTime || null,
+    startTime: war.startTime || null,
+    endTime: war.endTime || null,
+    clan: formatWarClan(war.clan),
+    opponent: formatWarClan(war.opponent)
+  }
+}
+
 /**
  * Get current war information for a clan
  * @param {string} clanTag - Clan tag
  * @returns {Promise<Object>} Current war data
  */
 export const getCurrentWar = async (clanTag) => {
-  const formattedTag = clanTag.startsWith('#') ? clanTag : `#${clanTag}`
+  const formattedTag = parseTag(clanTag, 'clanTag')
   const cacheKey = `war:${formattedTag}`
   
-  // Check cache first
-  const cached = cacheService.get(cacheKey)
-  if (cached) {
-    return cached
-  }
-  
-  try {
-    const cocClient = await initializeCoCClient()
+  return cacheService.wrap(cacheKey, async () => {
+    try {
+      const war = await cocRequest('getClanWar', cocClient => cocClient.getClanWar(formattedTag))
     
-    if (!cocClient) {
-      throw new Error('CoC API client not initialized')
+      return formatWar(war)
+    } catch (error) {
+      console.error(`Error fetching war data for clan ${clanTag}:`, error.message)
+      throw error
     }
-    const war = await cocClient.getClanWar(formattedTag)
-    
-    // If not in war, return minimal data
-    if (war.state === 'notInWar') {
+  }, CACHE_TTL.CLAN_WAR)
+}
+
+/**
+ * Cache TTL for CWL round wars: finished rounds never change
+ * (groups keep CLAN_WAR, an ended group is replaced when the next season is drawn)
+ * @param {Object} war - Formatted CWL war
+ * @returns {number} TTL in seconds
+ */
+const getCWLWarTtl = (war) => {
+  return war.state === 'warEnded' ? CACHE_TTL.CWL_ENDED : CACHE_TTL.CLAN_WAR
+}
+
+/**
+ * Get the CWL league group of a clan (season, the 8 clans with rosters, rounds)
+ * @param {string} clanTag - Clan tag
+ * @returns {Promise<Object>} League group data
+ */
+export const getCWLGroup = async (clanTag) => {
+  const formattedTag = parseTag(clanTag, 'clanTag')
+  const cacheKey = `cwl:group:${formattedTag}`
+  
+  return cacheService.wrap(cacheKey, async () => {
+    try {
+      const group = await cocRequest('getClanWarLeagueGroup', cocClient => cocClient.getClanWarLeagueGroup(formattedTag))
+      
       return {
-        state: 'notInWar'
+        state: group.state || 'unknown',
+        season: group.season || null,
+        clans: (group.clans || []).map(clan => ({
+          tag: clan.tag,
+          name: clan.name,
+          clanLevel: clan.level || 0,
+          badgeUrls: {
+            small: clan.badge?.small || '',
+            medium: clan.badge?.medium || '',
+            large: clan.badge?.large || '',
+          },
+          members: (clan.members || []).map(member => ({
+            tag: member.tag,
+            name: member.name,
+            townHallLevel: member.townHallLevel || 0,
+          }))
+        })),
+        // "#0" war tags are rounds that haven't been drawn yet
+        rounds: (group.rounds || []).map((round, index) => ({
+          round: round.round || index + 1,
+          warTags: (round.warTags || []).filter(warTag => warTag !== '#0')
+        }))
       }
+    } catch (error) {
+      console.error(`Error fetching CWL group for clan ${clanTag}:`, error.message)
+
+      // The API answers 404 for clans that aren't in a league group this season
+      if (error instanceof NotFoundError) {
+        throw new NotFoundError(`Clan ${formattedTag} is not in Clan War League this season`)
+      }
+
+      throw error
     }
-    
-    // Format the war data to ensure consistent structure
-    // According to clashofclans.js WarClan class documentation:
-    // - badge (not badgeUrls) with small, medium, large properties
-    // - destruction (not destructionPercentage)
-    // - attackCount (not attacks)
-    // - level (not clanLevel)
-    const formattedWar = {
-      state: war.state || 'unknown',
-      teamSize: war.teamSize || 0,
-      preparationStartTime: war.preparationStartTime || null,
-      startTime: war.startTime || null,
-      endTime: war.endTime || null,
-      clan: war.clan ? {
-        tag: war.clan.tag || '',
-        name: war.clan.name || 'Unknown',
-        badgeUrls: {
-          small: war.clan.badge?.small || '',
-          medium: war.clan.badge?.medium || '',
-          large: war.clan.badge?.large || '',
-        },
-        clanLevel: war.clan.level || 0,
-        attacks: war.clan.attackCount || 0,
-        stars: war.clan.stars || 0,
-        destructionPercentage: war.clan.destruction || 0,
-        members: war.clan.members || []
-      } : null,
-      opponent: war.opponent ? {
-        tag: war.opponent.tag || '',
-        name: war.opponent.name || 'Unknown',
-        badgeUrls: {
-          small: war.opponent.badge?.small || '',
-          medium: war.opponent.badge?.medium || '',
-          large: war.opponent.badge?.large || '',
-        },
-        clanLevel: war.opponent.level || 0,
-        attacks: war.opponent.attackCount || 0,
-        stars: war.opponent.stars || 0,
-        destructionPercentage: war.opponent.destruction || 0,
-        members: war.opponent.members || []
-      } : null
+  }, CACHE_TTL.CLAN_WAR)
+}
+
+/**
+ * Get a single CWL war by war tag (from the API's point of view, not a clan's)
+ * @param {string} warTag - CWL war tag
+ * @returns {Promise<Object>} Formatted war data
+ */
+export const getCWLWar = async (warTag) => {
+  const formattedTag = parseTag(warTag, 'warTag')
+  const cacheKey = `cwl:war:${formattedTag}`
+  
+  return cacheService.wrap(cacheKey, async () => {
+    try {
+      const war = await cocRequest('getClanWarLeagueRound', cocClient => cocClient.getClanWarLeagueRound(formattedTag))
+      
+      return formatWar(war)
+    } catch (error) {
+      console.error(`Error fetching CWL war ${warTag}:`, error.message)
+      throw error
     }
+  }, getCWLWarTtl)
+}
+
+/**
+ * Get a clan's war in a CWL round, in the same shape as getCurrentWar
+ * @param {string} clanTag - Clan tag
+ * @param {number} roundNumber - Round number (1-7)
+ * @returns {Promise<Object|null>} War data with the clan as "clan", or null if not drawn yet
+ */
+export const getCWLRoundWar = async (clanTag, roundNumber) => {
+  const formattedTag = parseTag(clanTag, 'clanTag')
+  const group = await getCWLGroup(formattedTag)
+  const round = group.rounds.find(r => r.round === roundNumber)
+  
+  if (!round || round.warTags.length === 0) {
+    return null
+  }
+  
+  // Each round has 4 wars, find the one our clan is in
+  for (const warTag of round.warTags) {
+    const war = await getCWLWar(warTag)
     
-    // Cache the result
-    cacheService.set(cacheKey, formattedWar, CACHE_TTL.CLAN_WAR)
+    if (war.clan?.tag === formattedTag) {
+      return { ...war, round: roundNumber }
+    }
     
-    return formattedWar
-  } catch (error) {
-    console.error(`Error fetching war data for clan ${clanTag}:`, error.message)
-    throw error
+    if (war.opponent?.tag === formattedTag) {
+      return { ...war, round: roundNumber, clan: war.opponent, opponent: war.clan }
+    }
   }
+  
+  return null
 }
 
 /**
@@ -282,67 +742,55 @@ export const getCurrentWar = async (clanTag) => {
  * @returns {Promise<Array>} War log data
  */
 export const getWarLog = async (clanTag) => {
-  const formattedTag = clanTag.startsWith('#') ? clanTag : `#${clanTag}`
+  const formattedTag = parseTag(clanTag, 'clanTag')
   const cacheKey = `warlog:${formattedTag}`
   
-  // Check cache first
-  const cached = cacheService.get(cacheKey)
-  if (cached) {
-    return cached
-  }
-  
-  try {
-    const cocClient = await initializeCoCClient()
-    
-    if (!cocClient) {
-      throw new Error('CoC API client not initialized')
-    }
-    const warLog = await cocClient.getClanWarLog(formattedTag)
-    
-    // Format war log according to WarLogClan structure
-    // Properties: name, tag, badge, level, stars, destruction, expEarned, attackCount
-    const formattedWarLog = (warLog || []).map(war => ({
-      result: war.result || 'unknown',
-      endTime: war.endTime || null,
-      teamSize: war.teamSize || 0,
-      clan: war.clan ? {
-        name: war.clan.name || 'Unknown',
-        tag: war.clan.tag || '',
-        badgeUrls: {
-          small: war.clan.badge?.small || '',
-          medium: war.clan.badge?.medium || '',
-          large: war.clan.badge?.large || '',
-        },
-        level: war.clan.level || 0,
-        stars: war.clan.stars || 0,
-        destruction: war.clan.destruction || 0,
-        expEarned: war.clan.expEarned || 0,
-        attackCount: war.clan.attackCount || 0
-      } : null,
-      opponent: war.opponent ? {
-        name: war.opponent.name || 'Unknown',
-        tag: war.opponent.tag || '',
-        badgeUrls: {
-          small: war.opponent.badge?.small || '',
-          medium: war.opponent.badge?.medium || '',
-          large: war.opponent.badge?.large || '',
-        },
-        level: war.opponent.level || 0,
-        stars: war.opponent.stars || 0,
-        destruction: war.opponent.destruction || 0,
-        expEarned: war.opponent.expEarned,
-        attackCount: war.opponent.attackCount
-      } : null
-    }))
+  return cacheService.wrap(cacheKey, async () => {
+    try {
+      const warLog = await cocRequest('getClanWarLog', cocClient => cocClient.getClanWarLog(formattedTag))
     
-    // Cache the result
-    cacheService.set(cacheKey, formattedWarLog, CACHE_TTL.CLAN_WAR_LOG)
+      // Format war log according to WarLogClan structure
+      // Properties: name, tag, badge, level, stars, destruction, expEarned, attackCount
+      const formattedWarLog = (warLog || []).map(war => ({
+        result: war.result || 'unknown',
+        endTime: war.endTime || null,
+        teamSize: war.teamSize || 0,
+        clan: war.clan ? {
+          name: war.clan.name || 'Unknown',
+          tag: war.clan.tag || '',
+          badgeUrls: {
+            small: war.clan.badge?.small || '',
+            medium: war.clan.badge?.medium || '',
+            large: war.clan.badge?.large || '',
+          },
+          level: war.clan.level || 0,
+          stars: war.clan.stars || 0,
+          destruction: war.clan.destruction || 0,
+          expEarned: war.clan.expEarned || 0,
+          attackCount: war.clan.attackCount || 0
+        } : null,
+        opponent: war.opponent ? {
+          name: war.opponent.name || 'Unknown',
+          tag: war.opponent.tag || '',
+          badgeUrls: {
+            small: war.opponent.badge?.small || '',
+            medium: war.opponent.badge?.medium || '',
+            large: war.opponent.badge?.large || '',
+          },
+          level: war.opponent.level || 0,
+          stars: war.opponent.stars || 0,
+          destruction: war.opponent.destruction || 0,
+          expEarned: war.opponent.expEarned,
+          attackCount: war.opponent.attackCount
+        } : null
+      }))
     
-    return formattedWarLog
-  } catch (error) {
-    console.error(`Error fetching war log for clan ${clanTag}:`, error.message)
-    throw error
-  }
+      return formattedWarLog
+    } catch (error) {
+      console.error(`Error fetching war log for clan ${clanTag}:`, error.message)
+      throw error
+    }
+  }, CACHE_TTL.CLAN_WAR_LOG)
 }
 
 /**
@@ -351,32 +799,19 @@ export const getWarLog = async (clanTag) => {
  * @returns {Promise<Array>} Capital raid seasons data
  */
 export const getCapitalRaidSeasons = async (clanTag) => {
-  const formattedTag = clanTag.startsWith('#') ? clanTag : `#${clanTag}`
+  const formattedTag = parseTag(clanTag, 'clanTag')
   const cacheKey = `raids:${formattedTag}`
   
-  // Check cache first
-  const cached = cacheService.get(cacheKey)
-  if (cached) {
-    return cached
-  }
-  
-  try {
-    const cocClient = await initializeCoCClient()
+  return cacheService.wrap(cacheKey, async () => {
+    try {
+      const raidSeasons = await cocRequest('getCapitalRaidSeasons', cocClient => cocClient.getCapitalRaidSeasons(formattedTag))
+      const result = raidSeasons || []
     
-    if (!cocClient) {
-      throw new Error('CoC API client not initialized')
+      return result
+    } catch (error) {
+      console.error(`Error fetching capital raid seasons for clan ${clanTag}:`, error.message)
+      throw error
     }
-
-    const raidSeasons = await cocClient.getClanCapitalRaidSeasons(formattedTag)
-    const result = raidSeasons || []
-    
-    // Cache the result
-    cacheService.set(cacheKey, result, CACHE_TTL.CLAN_RAIDS)
-    
-    return result
-  } catch (error) {
-    console.error(`Error fetching capital raid seasons for clan ${clanTag}:`, error.message)
-    throw error
-  }
+  }, CACHE_TTL.CLAN_RAIDS)
 }
 
@@ -1,9 +1,7 @@
 import { getMultipleClans } from './clashOfClansService.js'
 import { fetchCWLClansDetailsFromSheet } from './googleSheetsService.js'
 import { cacheService, CACHE_TTL } from './cacheService.js'
-
-// Promise cache to prevent concurrent fetches of the same data
-const activeFetches = new Map()
+import { NotFoundError, UpstreamError } from '../utils/errors.js'
 
 /**
  * Calculate eligible members based on TH requirements
@@ -197,31 +195,19 @@ export const filterClansByCapacity = (clans) => {
 /**
  * Get all CWL clans with merged data (shared by both filtered and all endpoints)
  * This is cached separately to avoid duplicate API calls
- * Uses promise cache to prevent concurrent fetches
+ * Concurrent callers share one fetch through the cache layer
  * @returns {Promise<Array>} All CWL clans with merged data
  */
 export const getAllCWLClansMerged = async () => {
   const cacheKey = 'cwl:all-clans-merged'
-  
-  // Check cache first
-  const cached = cacheService.get(cacheKey)
-  if (cached) {
-    return cached
-  }
 
-  // Check if there's already an active fetch for this data
-  if (activeFetches.has(cacheKey)) {
-    return await activeFetches.get(cacheKey)
-  }
-
-  // Create fetch promise
-  const fetchPromise = (async () => {
+  return cacheService.wrap(cacheKey, async () => {
     try {
       // Fetch clan details from Google Sheets
       const detailsFromSheet = await fetchCWLClansDetailsFromSheet()
 
       if (detailsFromSheet.length === 0) {
-        throw new Error('No CWL clans found in Google Sheets')
+        throw new NotFoundError('No CWL clans found in Google Sheets')
       }
 
       // Extract clan tags for API call
@@ -231,11 +217,11 @@ export const getAllCWLClansMerged = async () => {
       const fetchedClans = await getMultipleClans(clanTags)
       
       if (fetchedClans.length === 0) {
-        throw new Error('No clan data could be fetched from CoC API')
+        throw new UpstreamError('No clan data could be fetched from CoC API')
       }
 
       // Merge API data with Google Sheets details
-      const mergedData = fetchedClans.map(clan => {
+      return fetchedClans.map(clan => {
         const sheetInfo = detailsFromSheet.find(detail => detail.tag === clan.tag)
         
         // Calculate eligible members
@@ -247,24 +233,16 @@ export const getAllCWLClansMerged = async () => {
           eligibleMembers
         }
       })
-      
-      // Cache the merged data (used by both filtered and all endpoints)
-      cacheService.set(cacheKey, mergedData, CACHE_TTL.CWL_FILTERED)
-      
-      return mergedData
     } catch (error) {
       console.error('Error getting all CWL clans merged:', error)
       throw error
-    } finally {
-      // Remove from active fetches when done
-      activeFetches.delete(cacheKey)
     }
-  })()
-
-  // Store the promise to prevent duplicate fetches
-  activeFetches.set(cacheKey, fetchPromise)
-  
-  return await fetchPromise
+  }, CACHE_TTL.CWL_FILTERED, {
+    dependsOn: (clans) => [
+      'sheets:cwl-clans-details',
+      ...clans.map(clan => `clan:${clan.sheetData?.tag || clan.tag}`)
+    ]
+  })
 }
 
 /**
@@ -273,28 +251,19 @@ export const getAllCWLClansMerged = async () => {
  */
 export const getCWLClansFiltered = async () => {
   const cacheKey = 'cwl:filtered-clans'
-  
-  // Check cache first
-  const cached = cacheService.get(cacheKey)
-  if (cached) {
-    return cached
-  }
 
-  try {
-    // Get all merged clans (uses shared cache)
-    const mergedData = await getAllCWLClansMerged()
+  return cacheService.wrap(cacheKey, async () => {
+    try {
+      // Get all merged clans (uses shared cache)
+      const mergedData = await getAllCWLClansMerged()
 
-    // Filter clans based on capacity logic
-    const filteredClans = filterClansByCapacity(mergedData)
-    
-    // Cache the filtered result
-    cacheService.set(cacheKey, filteredClans, CACHE_TTL.CWL_FILTERED)
-    
-    return filteredClans
-  } catch (error) {
-    console.error('Error getting filtered CWL clans:', error)
-    throw error
-  }
+      // Filter clans based on capacity logic
+      return filterClansByCapacity(mergedData)
+    } catch (error) {
+      console.error('Error getting filtered CWL clans:', error)
+      throw error
+    }
+  }, CACHE_TTL.CWL_FILTERED, { dependsOn: ['cwl:all-clans-merged'] })
 }
 
 /**
@@ -0,0 +1,144 @@
+import { promises as fs } from 'fs'
+import path from 'path'
+import { HTTPError } from 'clashofclans.js'
+import { UpstreamError } from '../utils/errors.js'
+
+// Where CoC API and Google Sheets responses come from
+// - live: real APIs (default)
+// - fixtures: files in FIXTURES_DIR only, no credentials or network needed
+// - record: real APIs, responses are also written to FIXTURES_DIR
+const DATA_SOURCES = ['live', 'fixtures', 'record']
+
+/**
+ * Get the configured data source
+ * @returns {string} "live", "fixtures" or "record"
+ */
+export const getDataSource = () => {
+  const source = (process.env.DATA_SOURCE || 'live').toLowerCase()
+
+  if (!DATA_SOURCES.includes(source)) {
+    throw new Error(`DATA_SOURCE must be one of ${DATA_SOURCES.join(', ')} (got "${source}")`)
+  }
+
+  return source
+}
+
+const getFixturesDir = () => path.resolve(process.env.FIXTURES_DIR || './fixtures')
+
+/**
+ * Map a CoC API path to its fixture file
+ * "/clans/%232PP/currentwar" -> "<FIXTURES_DIR>/coc/clans/2PP/currentwar.json"
+ * @param {string} apiPath - Request path (without /v1)
+ * @returns {string} Absolute file path
+ */
+const getCoCFixturePath = (apiPath) => {
+  const [pathname, query] = apiPath.split('?')
+  const parts = decodeURIComponent(pathname).replace(/#/g, '').split('/').filter(Boolean)
+  const suffix = query ? `__${query.replace(/[^\w=-]+/g, '_')}` : ''
+
+  return path.join(getFixturesDir(), 'coc', ...parts) + `${suffix}.json`
+}
+
+const getSheetFixturePath = (sheet) => path.join(getFixturesDir(), 'sheets', `${sheet}.csv`)
+
+const writeFixture = async (file, content) => {
+  await fs.mkdir(path.dirname(file), { recursive: true })
+  await fs.writeFile(file, content)
+}
+
+/**
+ * Answer a CoC API request from its fixture
+ * Fixtures are { status, body }, a non-200 status is thrown like a real API error
+ * @param {string} apiPath - Request path
+ * @param {Object} options - Request options
+ * @returns {Promise<Object>} { body, res } as returned by the clashofclans.js request handler
+ */
+const readCoCFixture = async (apiPath, options) => {
+  const file = getCoCFixturePath(apiPath)
+  let fixture
+
+  try {
+    fixture = JSON.parse(await fs.readFile(file, 'utf8'))
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error
+
+    throw new HTTPError({ reason: 'notFound', message: `No fixture for ${apiPath} (${file})` }, 404, apiPath, 0, options.method)
+  }
+
+  const status = fixture.status ?? 200
+
+  if (status !== 200) {
+    throw new HTTPError(fixture.body, status, apiPath, 0, options.method)
+  }
+
+  return {
+    body: fixture.body,
+    res: { maxAge: 0, status, path: apiPath, ok: true }
+  }
+}
+
+/**
+ * Route a CoC client's API requests through the configured data source
+ * In record mode, GET responses (and not found / private war log errors) are saved as fixtures.
+ * Other methods (e.g. token verification) are never recorded since they carry secrets.
+ * @param {Object} client - clashofclans.js Client
+ * @returns {Object} The same client
+ */
+export const attachCoCDataSource = (client) => {
+  const source = getDataSource()
+  const handler = client.rest.requestHandler
+
+  if (source === 'fixtures') {
+    handler.request = (apiPath, options = {}) => readCoCFixture(apiPath, options)
+  }
+
+  if (source === 'record') {
+    const liveRequest = handler.request.bind(handler)
+
+    handler.request = async (apiPath, options = {}) => {
+      const recordable = (options.method ?? 'GET') === 'GET'
+
+      try {
+        const result = await liveRequest(apiPath, options)
+
+        if (recordable) {
+          await writeFixture(getCoCFixturePath(apiPath), JSON.stringify({ status: 200, body: result.body }, null, 2))
+        }
+
+        return result
+      } catch (error) {
+        if (recordable && (error.status === 404 || error.reason === 'privateWarLog')) {
+          const body = { reason: error.reason, message: error.message }
+          await writeFixture(getCoCFixturePath(apiPath), JSON.stringify({ status: error.status, body }, null, 2))
+        }
+
+        throw error
+      }
+    }
+  }
+
+  return client
+}
+
+/**
+ * Read a Google Sheets CSV fixture
+ * @param {string} sheet - Sheet data type (e.g. "trinity-clans")
+ * @returns {Promise<string>} CSV text
+ */
+export const readSheetFixture = async (sheet) => {
+  const file = getSheetFixturePath(sheet)
+
+  try {
+    return await fs.readFile(file, 'utf8')
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error
+    throw new UpstreamError(`No fixture for sheet ${sheet} (${file})`)
+  }
+}
+
+/**
+ * Save a Google Sheets CSV response as fixture
+ * @param {string} sheet - Sheet data type (e.g. "trinity-clans")
+ * @param {string} csvText - CSV text
+ */
+export const writeSheetFixture = (sheet, csvText) => writeFixture(getSheetFixturePath(sheet), csvText)
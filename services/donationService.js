@@ -0,0 +1,161 @@
+import { createStore } from './storageService.js'
+import { getSeasonEnd, getSeasonId } from '../utils/seasons.js'
+
+// The in-game reset can lag behind the season end, after this we switch season anyway
+const RESET_GRACE_MS = 24 * 60 * 60 * 1000
+
+export const DONATION_SORTS = ['ratio', 'donations', 'received']
+
+// tracking: { [clanTag]: { season, members: { [playerTag]: { donations, received } } } }
+//   last counters seen per clan, used to detect resets
+// seasons: { [season]: { [clanTag]: { name, members: { [playerTag]: SeasonMember } } } }
+//   SeasonMember: { name, donations, received, carriedDonations, carriedReceived, inClan, lastSeenAt }
+const store = createStore('donations', () => ({ tracking: {}, seasons: {} }))
+
+const sum = (values) => values.reduce((total, value) => total + value, 0)
+
+/**
+ * Donations given per donation received (donations when nothing was received)
+ * @param {number} donations - Troops donated
+ * @param {number} received - Troops received
+ * @returns {number} Ratio rounded to 2 decimals
+ */
+const getRatio = (donations, received) => {
+  return Math.round((received > 0 ? donations / received : donations) * 100) / 100
+}
+
+/**
+ * Decide which season a clan's counters belong to
+ * The counters reset when the season ends; we switch to the new season once
+ * the clan's total donations dropped, or a day after the end if they never do
+ * @param {Object} tracking - Clan tracking state
+ * @param {Object} clan - Clan from getClanDetails
+ * @param {Date} now - Capture time
+ * @returns {boolean} True if the counters were reset since the last capture
+ */
+const detectSeasonReset = (tracking, clan, now) => {
+  if (getSeasonId(now) === tracking.season) {
+    return false
+  }
+
+  const lastTotal = sum(Object.values(tracking.members).map(member => member.donations))
+  const currentTotal = sum(clan.memberList.map(member => member.donations))
+  const overdue = now - getSeasonEnd(tracking.season) > RESET_GRACE_MS
+
+  return currentTotal < lastTotal || overdue
+}
+
+/**
+ * Capture the donation counters of the given clans into their season totals
+ * - Season reset: totals start again in the new season, past seasons are kept
+ * - A member's counters dropping mid-season (left and came back) are carried over
+ * - Members who left keep their numbers for the season
+ * @param {Array<Object>} clans - Clans from getClanDetails / getMultipleClans
+ * @returns {Promise<Object>} { clans, members, resets } counts
+ */
+export const recordDonations = (clans) => store.update(doc => {
+  const now = new Date()
+  const at = now.toISOString()
+  let members = 0
+  let resets = 0
+
+  for (const clan of clans) {
+    const tracking = doc.tracking[clan.tag] ??= { season: getSeasonId(now), members: {} }
+
+    if (detectSeasonReset(tracking, clan, now)) {
+      console.log(`🔄 Donation season reset detected for ${clan.tag} (${tracking.season} -> ${getSeasonId(now)})`)
+      tracking.season = getSeasonId(now)
+      tracking.members = {}
+      resets++
+    }
+
+    const season = doc.seasons[tracking.season] ??= {}
+    const clanSeason = season[clan.tag] ??= { name: clan.name, members: {} }
+    const current = new Set()
+
+    clanSeason.name = clan.name
+
+    for (const member of clan.memberList) {
+      const last = tracking.members[member.tag]
+      const record = clanSeason.members[member.tag] ??= {
+        name: member.name,
+        donations: 0,
+        received: 0,
+        carriedDonations: 0,
+        carriedReceived: 0
+      }
+
+      // Counters went down without a season reset: keep what was counted before
+      if (last && (member.donations < last.donations || member.donationsReceived < last.received)) {
+        record.carriedDonations += last.donations
+        record.carriedReceived += last.received
+      }
+
+      record.name = member.name
+      record.donations = record.carriedDonations + member.donations
+      record.received = record.carriedReceived + member.donationsReceived
+      record.inClan = true
+      record.lastSeenAt = at
+
+      tracking.members[member.tag] = { donations: member.donations, received: member.donationsReceived }
+      current.add(member.tag)
+      members++
+    }
+
+    for (const [tag, record] of Object.entries(clanSeason.members)) {
+      if (!current.has(tag)) {
+        record.inClan = false
+      }
+    }
+  }
+
+  return { clans: clans.length, members, resets }
+})
+
+/**
+ * Get a clan's donation leaderboard for a season
+ * @param {string} clanTag - Clan tag
+ * @param {Object} options - Options
+ * @param {string} options.season - Season ("YYYY-MM", default: current season)
+ * @param {string} options.sort - "ratio" (default), "donations" or "received"
+ * @returns {Promise<Object|null>} Leaderboard, or null if nothing was recorded for that season
+ */
+export const getDonationLeaderboard = async (clanTag, { season = getSeasonId(), sort = 'ratio' } = {}) => {
+  const doc = await store.read()
+  const clanSeason = doc.seasons[season]?.[clanTag]
+
+  if (!clanSeason) {
+    return null
+  }
+
+  const members = Object.entries(clanSeason.members)
+    .map(([tag, record]) => ({
+      tag,
+      name: record.name,
+      donations: record.donations,
+      received: record.received,
+      ratio: getRatio(record.donations, record.received),
+      inClan: record.inClan,
+      lastSeenAt: record.lastSeenAt
+    }))
+    .sort((a, b) => b[sort] - a[sort] || b.donations - a.donations)
+    .map((member, index) => ({ rank: index + 1, ...member }))
+
+  const donations = sum(members.map(member => member.donations))
+  const received = sum(members.map(member => member.received))
+
+  return {
+    clanTag,
+    clanName: clanSeason.name,
+    season,
+    sort,
+    totals: {
+      donations,
+      received,
+      ratio: getRatio(donations, received),
+      members: members.length
+    },
+    members,
+    availableSeasons: Object.keys(doc.seasons).filter(id => doc.seasons[id][clanTag]).sort().reverse()
+  }
+}
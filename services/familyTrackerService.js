@@ -0,0 +1,102 @@
+import { cacheService } from './cacheService.js'
+import { createScheduledJob } from './schedulerService.js'
+import { fetchTrinityClansFromSheet } from './googleSheetsService.js'
+import { getMultipleClans } from './clashOfClansService.js'
+import { recordRosters } from './rosterHistoryService.js'
+import { recordDonations } from './donationService.js'
+import { recordActivity } from './activityService.js'
+import { recordTrends } from './trendsService.js'
+
+// Default interval (in seconds) between family snapshots
+const DEFAULT_INTERVAL = 600
+const DEFAULT_JITTER = 30
+
+// Cached clans going stale within this window are refetched before recording
+const REFRESH_WINDOW = 60000
+
+// Everything recorded from one family snapshot, in order
+// Each recorder receives the fresh family clans and returns a summary
+const recorders = [
+  { name: 'rosters', record: recordRosters },
+  { name: 'donations', record: recordDonations },
+  { name: 'activity', record: recordActivity },
+  { name: 'trends', record: recordTrends }
+]
+
+let job = null
+
+/**
+ * Read tracker settings from the environment (in seconds)
+ * @returns {Object} Tracker settings
+ */
+const getConfig = () => ({
+  enabled: process.env.FAMILY_TRACKER_ENABLED !== 'false',
+  interval: parseInt(process.env.FAMILY_TRACKER_INTERVAL) || DEFAULT_INTERVAL,
+  jitter: parseInt(process.env.FAMILY_TRACKER_JITTER) || DEFAULT_JITTER
+})
+
+/**
+ * Fetch every family clan and hand them to the recorders
+ * @returns {Promise<Object>} Run summary
+ */
+const trackFamily = () => cacheService.refreshAhead(REFRESH_WINDOW, async () => {
+  const clanTags = await fetchTrinityClansFromSheet()
+  const clans = await getMultipleClans(clanTags)
+
+  // A total failure would look like everybody left, don't record it
+  if (clanTags.length > 0 && clans.length === 0) {
+    throw new Error('No family clan could be fetched from CoC API')
+  }
+
+  const summary = { clans: clans.length }
+
+  for (const { name, record } of recorders) {
+    summary[name] = await record(clans)
+  }
+
+  return summary
+})
+
+/**
+ * Start the family tracker job
+ */
+export const startFamilyTracker = () => {
+  const config = getConfig()
+
+  if (!config.enabled || job) {
+    return
+  }
+
+  const interval = config.interval * 1000
+  const jitter = config.jitter * 1000
+
+  job = createScheduledJob({
+    name: 'track-family',
+    interval,
+    jitter,
+    run: trackFamily
+  })
+
+  job.start(30000 + Math.random() * jitter)
+
+  console.log(`📸 Family tracker started (every ${config.interval}s)`)
+}
+
+/**
+ * Stop the family tracker job
+ */
+export const stopFamilyTracker = () => {
+  if (!job) return
+
+  job.stop()
+  job = null
+}
+
+/**
+ * Get the tracker status for the health endpoint
+ * @returns {Object} { enabled, job }
+ */
+export const getFamilyTrackerStatus = () => ({
+  enabled: job !== null,
+  job: job ? job.getStatus() : null
+})
@@ -1,4 +1,8 @@
 import { cacheService, CACHE_TTL } from './cacheService.js'
+import { trackSheetFetch } from './metricsService.js'
+import { getDataSource, readSheetFixture, writeSheetFixture } from './dataSource.js'
+import { UpstreamError } from '../utils/errors.js'
+import { isValidTag, normalizeTag } from '../utils/tags.js'
 
 // Google Sheets CSV URLs
 const CWL_CLANS_CSV_URL = 'https://docs.google.com/spreadsheets/d/e/2PACX-1vQHg3iIZi_dvJi2MNw92UTErDYEGO3e6RBm1Z8x-ZGzXLEKOg0CV8jcK9rE2_jcKuPR1w2UvdCmQ0ka/pub?gid=1114008336&single=true&output=csv'
@@ -70,64 +74,78 @@ function parseCSVLine(line) {
 }
 
 /**
- * Fetch Trinity clans from Google Sheets
- * Returns array of clan tags that are "Active"
+ * Download a published sheet as CSV text
+ * Reads from / records to fixtures depending on DATA_SOURCE
+ * @param {string} csvUrl - Published CSV URL
+ * @param {string} sheet - Sheet data type, used as metrics label and fixture name
+ * @returns {Promise<string>} CSV text
  */
-export async function fetchTrinityClansFromSheet() {
-  const cacheKey = 'sheets:trinity-clans'
-  
-  // Check cache first
-  const cached = cacheService.get(cacheKey)
-  if (cached) {
-    return cached
+async function fetchSheetCSV(csvUrl, sheet) {
+  const source = getDataSource()
+
+  if (source === 'fixtures') {
+    return readSheetFixture(sheet)
   }
 
-  try {
+  const csvText = await trackSheetFetch(sheet, async () => {
     // Add timestamp to prevent caching
-    const url = `${TRINITY_CLANS_CSV_URL}&_=${Date.now()}`
-    const response = await fetch(url)
+    const url = `${csvUrl}&_=${Date.now()}`
+    const response = await fetch(url).catch(error => {
+      throw new UpstreamError(`Could not reach Google Sheets: ${error.message}`)
+    })
 
     if (!response.ok) {
-      throw new Error('Failed to fetch Google Sheets data')
+      throw new UpstreamError(`Failed to fetch Google Sheets data (${response.status})`)
     }
 
-    const csvText = await response.text()
-    const data = parseCSV(csvText)
+    return response.text()
+  })
+
+  if (source === 'record') {
+    await writeSheetFixture(sheet, csvText)
+  }
+
+  return csvText
+}
 
-    // Filter valid clans:
-    // - Column B "Clan Tag" should exist and not be empty
-    // - Status column should be exactly "Active"
-    const validClans = data.filter(row => {
-      const clanTag = row['Clan Tag']
-      const status = row['Status'] || row['status']
+/**
+ * Fetch Trinity clans from Google Sheets
+ * Returns array of clan tags that are "Active"
+ */
+export async function fetchTrinityClansFromSheet() {
+  const cacheKey = 'sheets:trinity-clans'
+  
+  return cacheService.wrap(cacheKey, async () => {
+    try {
+      const csvText = await fetchSheetCSV(TRINITY_CLANS_CSV_URL, 'trinity-clans')
+      const data = parseCSV(csvText)
+
+      // Filter valid clans:
+      // - Column B "Clan Tag" should exist and not be empty
+      // - Status column should be exactly "Active"
+      const validClans = data.filter(row => {
+        const clanTag = row['Clan Tag']
+        const status = row['Status'] || row['status']
       
-      // Check if clan tag is valid
-      if (!clanTag || clanTag.trim() === '' || clanTag.includes('//')) return false
+        // Check if clan tag is valid (skips empty cells and "//" notes)
+        if (!isValidTag(clanTag)) return false
       
-      // Check if status is exactly "Active" (case-insensitive, exact match)
-      if (!status || status.toString().trim().toLowerCase() !== 'active') return false
+        // Check if status is exactly "Active" (case-insensitive, exact match)
+        if (!status || status.toString().trim().toLowerCase() !== 'active') return false
       
-      return true
-    })
+        return true
+      })
 
-    // Extract clan tags
-    const clanTags = validClans.map(row => {
-      let tag = row['Clan Tag'].trim()
-      // Ensure tag starts with #
-      if (!tag.startsWith('#')) {
-        tag = '#' + tag
-      }
-      return tag
-    })
+      // Extract clan tags
+      const clanTags = validClans.map(row => normalizeTag(row['Clan Tag']))
 
-    // Cache the result
-    cacheService.set(cacheKey, clanTags, CACHE_TTL.GOOGLE_SHEETS)
-    return clanTags
+      return clanTags
 
-  } catch (error) {
-    console.error('Error fetching Trinity clans from Google Sheets:', error)
-    throw error
-  }
+    } catch (error) {
+      console.error('Error fetching Trinity clans from Google Sheets:', error)
+      throw error
+    }
+  }, CACHE_TTL.GOOGLE_SHEETS)
 }
 
 /**
@@ -137,58 +155,37 @@ export async function fetchTrinityClansFromSheet() {
 export async function fetchCWLClansFromSheet() {
   const cacheKey = 'sheets:cwl-clans'
   
-  // Check cache first
-  const cached = cacheService.get(cacheKey)
-  if (cached) {
-    return cached
-  }
-
-  try {
-    // Add timestamp to prevent caching
-    const url = `${CWL_CLANS_CSV_URL}&_=${Date.now()}`
-    const response = await fetch(url)
-
-    if (!response.ok) {
-      throw new Error('Failed to fetch Google Sheets data')
-    }
-
-    const csvText = await response.text()
-    const data = parseCSV(csvText)
-
-    // Filter valid clans:
-    // - "In Use" should be a number (1, 2, 3, etc.)
-    // - "Clan Tag" should exist and not be empty or #VALUE!
-    const validClans = data.filter(row => {
-      const inUse = row['In Use']
-      const clanTag = row['Clan Tag']
+  return cacheService.wrap(cacheKey, async () => {
+    try {
+      const csvText = await fetchSheetCSV(CWL_CLANS_CSV_URL, 'cwl-clans')
+      const data = parseCSV(csvText)
+
+      // Filter valid clans:
+      // - "In Use" should be a number (1, 2, 3, etc.)
+      // - "Clan Tag" should exist and not be empty or #VALUE!
+      const validClans = data.filter(row => {
+        const inUse = row['In Use']
+        const clanTag = row['Clan Tag']
       
-      // Check if "In Use" is a valid number
-      if (!inUse || isNaN(parseInt(inUse))) return false
+        // Check if "In Use" is a valid number
+        if (!inUse || isNaN(parseInt(inUse))) return false
       
-      // Check if clan tag is valid
-      if (!clanTag || clanTag.includes('#VALUE!') || clanTag.trim() === '') return false
+        // Check if clan tag is valid (skips empty cells and #VALUE!)
+        if (!isValidTag(clanTag)) return false
       
-      return true
-    })
+        return true
+      })
 
-    // Extract clan tags
-    const clanTags = validClans.map(row => {
-      let tag = row['Clan Tag'].trim()
-      // Ensure tag starts with #
-      if (!tag.startsWith('#')) {
-        tag = '#' + tag
-      }
-      return tag
-    })
+      // Extract clan tags
+      const clanTags = validClans.map(row => normalizeTag(row['Clan Tag']))
 
-    // Cache the result
-    cacheService.set(cacheKey, clanTags, CACHE_TTL.GOOGLE_SHEETS)
-    return clanTags
+      return clanTags
 
-  } catch (error) {
-    console.error('Error fetching CWL clans from Google Sheets:', error)
-    throw error
-  }
+    } catch (error) {
+      console.error('Error fetching CWL clans from Google Sheets:', error)
+      throw error
+    }
+  }, CACHE_TTL.GOOGLE_SHEETS)
 }
 
 /**
@@ -198,61 +195,43 @@ export async function fetchCWLClansFromSheet() {
 export async function fetchCWLClansDetailsFromSheet() {
   const cacheKey = 'sheets:cwl-clans-details'
   
-  // Check cache first
-  const cached = cacheService.get(cacheKey)
-  if (cached) {
-    return cached
-  }
-
-  try {
-    const url = `${CWL_CLANS_CSV_URL}&_=${Date.now()}`
-    const response = await fetch(url)
-
-    if (!response.ok) {
-      throw new Error('Failed to fetch Google Sheets data')
-    }
-
-    const csvText = await response.text()
-    const data = parseCSV(csvText)
-
-    // Filter and map valid clans
-    const validClans = data
-      .filter(row => {
-        const inUse = row['In Use']
-        const clanTag = row['Clan Tag']
+  return cacheService.wrap(cacheKey, async () => {
+    try {
+      const csvText = await fetchSheetCSV(CWL_CLANS_CSV_URL, 'cwl-clans-details')
+      const data = parseCSV(csvText)
+
+      // Filter and map valid clans
+      const validClans = data
+        .filter(row => {
+          const inUse = row['In Use']
+          const clanTag = row['Clan Tag']
         
-        if (!inUse || isNaN(parseInt(inUse))) return false
-        if (!clanTag || clanTag.includes('#VALUE!') || clanTag.trim() === '') return false
+          if (!inUse || isNaN(parseInt(inUse))) return false
+          if (!isValidTag(clanTag)) return false
         
-        return true
-      })
-      .map(row => {
-        let tag = row['Clan Tag'].trim()
-        if (!tag.startsWith('#')) {
-          tag = '#' + tag
-        }
-
-        return {
-          inUse: parseInt(row['In Use']),
-          tag: tag,
-          name: row['Clan Name'] || '',
-          format: row['Format'] || '',
-          members: row['Members'] || '',
-          townHall: row['TownHall'] || '',
-          weight: row['Weight'] || '',
-          league: row['League'] || ''
-        }
-      })
-      .sort((a, b) => a.inUse - b.inUse) // Sort by "In Use" number
-
-    // Cache the result
-    cacheService.set(cacheKey, validClans, CACHE_TTL.GOOGLE_SHEETS)
-    return validClans
-
-  } catch (error) {
-    console.error('Error fetching CWL clans details from Google Sheets:', error)
-    throw error
-  }
+          return true
+        })
+        .map(row => {
+          return {
+            inUse: parseInt(row['In Use']),
+            tag: normalizeTag(row['Clan Tag']),
+            name: row['Clan Name'] || '',
+            format: row['Format'] || '',
+            members: row['Members'] || '',
+            townHall: row['TownHall'] || '',
+            weight: row['Weight'] || '',
+            league: row['League'] || ''
+          }
+        })
+        .sort((a, b) => a.inUse - b.inUse) // Sort by "In Use" number
+
+      return validClans
+
+    } catch (error) {
+      console.error('Error fetching CWL clans details from Google Sheets:', error)
+      throw error
+    }
+  }, CACHE_TTL.GOOGLE_SHEETS)
 }
 
 /**
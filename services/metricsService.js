@@ -0,0 +1,162 @@
+import client from 'prom-client'
+
+// Registry holding all backend metrics (exposed at /metrics)
+export const register = new client.Registry()
+
+client.collectDefaultMetrics({ register, prefix: 'trinity_' })
+
+// HTTP metrics
+const httpRequestDuration = new client.Histogram({
+  name: 'trinity_http_request_duration_seconds',
+  help: 'HTTP request latency by route',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register]
+})
+
+const httpRequestsTotal = new client.Counter({
+  name: 'trinity_http_requests_total',
+  help: 'HTTP requests by route and status code',
+  labelNames: ['method', 'route', 'status'],
+  registers: [register]
+})
+
+// Cache metrics
+const cacheLookupsTotal = new client.Counter({
+  name: 'trinity_cache_lookups_total',
+  help: 'Cache lookups by key prefix and result (hit, stale, miss, refresh)',
+  labelNames: ['prefix', 'result'],
+  registers: [register]
+})
+
+// Clash of Clans API metrics
+const cocRequestsTotal = new client.Counter({
+  name: 'trinity_coc_requests_total',
+  help: 'Clash of Clans API calls by operation and outcome',
+  labelNames: ['operation', 'outcome'],
+  registers: [register]
+})
+
+const cocErrorsTotal = new client.Counter({
+  name: 'trinity_coc_errors_total',
+  help: 'Clash of Clans API errors by operation and reason',
+  labelNames: ['operation', 'reason'],
+  registers: [register]
+})
+
+const cocRequestDuration = new client.Histogram({
+  name: 'trinity_coc_request_duration_seconds',
+  help: 'Clash of Clans API call latency by operation',
+  labelNames: ['operation'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 15],
+  registers: [register]
+})
+
+// Google Sheets metrics
+const sheetsFetchesTotal = new client.Counter({
+  name: 'trinity_sheets_fetches_total',
+  help: 'Google Sheets CSV fetches by sheet and outcome',
+  labelNames: ['sheet', 'outcome'],
+  registers: [register]
+})
+
+const sheetsFetchDuration = new client.Histogram({
+  name: 'trinity_sheets_fetch_duration_seconds',
+  help: 'Google Sheets CSV fetch latency by sheet',
+  labelNames: ['sheet'],
+  buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register]
+})
+
+/**
+ * Express middleware recording latency and status per route
+ * Uses the route pattern (e.g. /api/clans/:clanTag) to keep label cardinality low
+ */
+export const metricsMiddleware = (req, res, next) => {
+  const endTimer = httpRequestDuration.startTimer()
+  let route = null
+
+  // Express sets req.route while still inside the matching router. Errors reach
+  // the central handler after req.baseUrl was reset to the app's, so the label
+  // is built right there instead of on 'finish'
+  Object.defineProperty(req, 'route', {
+    configurable: true,
+    enumerable: true,
+    get: () => route,
+    set: (value) => {
+      route = value
+      res.locals.routeLabel = value ? `${req.baseUrl}${value.path}` : null
+    }
+  })
+
+  res.on('finish', () => {
+    const labels = { method: req.method, route: res.locals.routeLabel || 'unmatched', status: res.statusCode }
+
+    endTimer(labels)
+    httpRequestsTotal.inc(labels)
+  })
+
+  next()
+}
+
+/**
+ * Record a cache lookup
+ * @param {string} key - Cache key (prefix is the part before the first ":")
+ * @param {string} result - "hit", "stale", "miss" or "refresh"
+ */
+export const recordCacheLookup = (key, result) => {
+  const prefix = key.split(':')[0] || 'unknown'
+  cacheLookupsTotal.inc({ prefix, result })
+}
+
+/**
+ * Time and count a Clash of Clans API call
+ * @param {string} operation - Client method name (e.g. "getClan")
+ * @param {Function} fn - Async function performing the call
+ * @returns {Promise<any>} Result of fn
+ */
+export const trackCoCRequest = async (operation, fn) => {
+  const endTimer = cocRequestDuration.startTimer({ operation })
+
+  try {
+    const result = await fn()
+    cocRequestsTotal.inc({ operation, outcome: 'success' })
+    return result
+  } catch (error) {
+    const reason = error.reason || (error.name === 'AbortError' ? 'timeout' : 'unknown')
+    cocRequestsTotal.inc({ operation, outcome: 'error' })
+    cocErrorsTotal.inc({ operation, reason })
+    throw error
+  } finally {
+    endTimer()
+  }
+}
+
+/**
+ * Time and count a Google Sheets fetch
+ * @param {string} sheet - Sheet data type (e.g. "trinity-clans")
+ * @param {Function} fn - Async function performing the fetch
+ * @returns {Promise<any>} Result of fn
+ */
+export const trackSheetFetch = async (sheet, fn) => {
+  const endTimer = sheetsFetchDuration.startTimer({ sheet })
+
+  try {
+    const result = await fn()
+    sheetsFetchesTotal.inc({ sheet, outcome: 'success' })
+    return result
+  } catch (error) {
+    sheetsFetchesTotal.inc({ sheet, outcome: 'error' })
+    throw error
+  } finally {
+    endTimer()
+  }
+}
+
+/**
+ * Render all metrics in Prometheus text format
+ * @returns {Promise<string>} Metrics text
+ */
+export const getMetrics = () => register.metrics()
+
+export const metricsContentType = register.contentType
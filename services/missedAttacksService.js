@@ -0,0 +1,135 @@
+import { getCurrentWar, getCWLGroup, getCWLRoundWar } from './clashOfClansService.js'
+import { fetchTrinityClansFromSheet } from './googleSheetsService.js'
+import { NotFoundError } from '../utils/errors.js'
+
+// Only these states have attacks to chase (preparation: nobody can attack yet)
+const REPORTED_STATES = ['inWar', 'warEnded']
+
+/**
+ * List the clan members who still have (or missed) attacks in a war
+ * @param {Object} war - War with the clan as "clan" (getCurrentWar / getCWLRoundWar)
+ * @param {string} type - "regular" or "cwl"
+ * @returns {Object|null} Report, or null when the war has nothing to report
+ */
+const buildReport = (war, type) => {
+  if (!REPORTED_STATES.includes(war?.state)) {
+    return null
+  }
+
+  const ended = war.state === 'warEnded'
+  const members = war.clan.members
+    .map(member => ({
+      tag: member.tag,
+      name: member.name,
+      mapPosition: member.mapPosition,
+      townHallLevel: member.townHallLevel,
+      attacksUsed: member.attacks.length,
+      attacksLeft: Math.max(0, war.attacksPerMember - member.attacks.length)
+    }))
+    .filter(member => member.attacksLeft > 0)
+    .sort((a, b) => a.mapPosition - b.mapPosition)
+
+  return {
+    type,
+    round: war.round || null,
+    state: war.state,
+    ended,
+    opponent: { tag: war.opponent.tag, name: war.opponent.name },
+    attacksPerMember: war.attacksPerMember,
+    endTime: war.endTime,
+    // Seconds until the war ends, 0 once it's over
+    timeLeft: ended ? 0 : Math.max(0, Math.round((new Date(war.endTime) - Date.now()) / 1000)),
+    attacksLeft: members.reduce((total, member) => total + member.attacksLeft, 0),
+    members
+  }
+}
+
+/**
+ * Report the CWL rounds of a clan that are in progress or ended
+ * @param {string} clanTag - Clan tag
+ * @returns {Promise<Object|null>} { season, rounds } or null if not in CWL
+ */
+const getCWLReports = async (clanTag) => {
+  let group
+
+  try {
+    group = await getCWLGroup(clanTag)
+  } catch (error) {
+    if (error instanceof NotFoundError) return null
+    throw error
+  }
+
+  const rounds = []
+
+  for (const { round, warTags } of group.rounds) {
+    if (warTags.length === 0) continue
+
+    const report = buildReport(await getCWLRoundWar(clanTag, round), 'cwl')
+
+    if (report) {
+      rounds.push(report)
+    }
+  }
+
+  return { season: group.season, rounds }
+}
+
+/**
+ * Get who still has to attack (live wars) or missed attacks (ended wars)
+ * in a clan's current war and CWL rounds
+ * The sections are fetched separately: a private war log doesn't hide the CWL rounds
+ * @param {string} clanTag - Clan tag
+ * @returns {Promise<Object>} { clanTag, war, cwl, errors } where war/cwl are null when
+ *   there's nothing to report, errors: { war, cwl } ({ code, message } or null)
+ * @throws {Error} The war error if neither section could be fetched
+ */
+export const getMissedAttacks = async (clanTag) => {
+  const [war, cwl] = await Promise.allSettled([
+    getCurrentWar(clanTag).then(currentWar => buildReport(currentWar, 'regular')),
+    getCWLReports(clanTag)
+  ])
+
+  if (war.status === 'rejected' && cwl.status === 'rejected') {
+    throw war.reason
+  }
+
+  const toError = (result) => result.status === 'rejected'
+    ? { code: result.reason.code || 'INTERNAL_ERROR', message: result.reason.message }
+    : null
+
+  return {
+    clanTag,
+    war: war.value ?? null,
+    cwl: cwl.value ?? null,
+    errors: { war: toError(war), cwl: toError(cwl) }
+  }
+}
+
+/**
+ * Get the missed attack reports of every Trinity clan
+ * A clan that can't be fetched (e.g. private war log) is listed under failedClans
+ * @returns {Promise<Object>} { clans, attacksLeft, failedClans }
+ */
+export const getFamilyMissedAttacks = async () => {
+  const clanTags = await fetchTrinityClansFromSheet()
+  const clans = []
+  const failedClans = []
+
+  for (const clanTag of clanTags) {
+    try {
+      clans.push(await getMissedAttacks(clanTag))
+    } catch (error) {
+      failedClans.push({ clanTag, code: error.code || 'INTERNAL_ERROR', message: error.message })
+    }
+  }
+
+  const reports = clans.flatMap(clan => [clan.war, ...(clan.cwl?.rounds || [])]).filter(Boolean)
+
+  return {
+    clans,
+    attacksLeft: reports
+      .filter(report => !report.ended)
+      .reduce((total, report) => total + report.attacksLeft, 0),
+    failedClans
+  }
+}
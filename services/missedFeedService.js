@@ -0,0 +1,161 @@
+import { cacheService } from './cacheService.js'
+import { createScheduledJob } from './schedulerService.js'
+import { getMissedAttacks } from './missedAttacksService.js'
+
+// Leader sockets join "missed:<tag>" rooms with subscribe:missed
+export const MISSED_ROOM_PREFIX = 'missed:'
+
+const DEFAULT_INTERVAL = 300
+
+let io = null
+let job = null
+
+// Last report signature sent per room
+const signatures = new Map()
+
+/**
+ * Read feed settings from the environment (in seconds)
+ * @returns {Object} Feed settings
+ */
+const getConfig = () => ({
+  enabled: process.env.MISSED_FEED_ENABLED !== 'false',
+  interval: parseInt(process.env.MISSED_FEED_INTERVAL) || DEFAULT_INTERVAL
+})
+
+/**
+ * Missed attack rooms with at least one socket in them
+ * @returns {Array<string>} Room names
+ */
+const getWatchedRooms = () => {
+  return [...io.of('/').adapter.rooms.keys()].filter(room => room.startsWith(MISSED_ROOM_PREFIX))
+}
+
+/**
+ * Summarize what leaders act on in a report: who has attacks left in which war
+ * (timeLeft changes on every poll and is left out)
+ * @param {Object} report - Report from getMissedAttacks
+ * @returns {string} Signature
+ */
+const getSignature = (report) => {
+  const wars = [report.war, ...(report.cwl?.rounds || [])].filter(Boolean)
+
+  return JSON.stringify(wars.map(war => [
+    war.type,
+    war.round,
+    war.state,
+    war.members.map(member => [member.tag, member.attacksLeft])
+  ]))
+}
+
+/**
+ * Send the current report to a socket that just joined
+ * @param {Object} socket - Socket.IO socket
+ * @param {string} clanTag - Canonical clan tag
+ * @returns {Promise<void>}
+ */
+export const sendMissedSnapshot = async (socket, clanTag) => {
+  const report = await getMissedAttacks(clanTag)
+
+  signatures.set(`${MISSED_ROOM_PREFIX}${clanTag}`, getSignature(report))
+  socket.emit('missed:snapshot', report)
+}
+
+/**
+ * Fetch a watched clan's report and emit it when someone attacked or a war changed
+ * @param {string} room - Room name ("missed:<tag>")
+ * @returns {Promise<number>} Number of events emitted
+ */
+const pollRoom = async (room) => {
+  const clanTag = room.slice(MISSED_ROOM_PREFIX.length)
+  const report = await getMissedAttacks(clanTag)
+  const signature = getSignature(report)
+
+  if (signatures.get(room) === signature) {
+    return 0
+  }
+
+  signatures.set(room, signature)
+  io.to(room).emit('missed:update', report)
+  return 1
+}
+
+/**
+ * Poll every missed attack room that has listeners
+ * Wars are cached for longer than the interval: entries not fetched since the
+ * previous poll are refetched so each poll sees the latest attacks
+ * @returns {Promise<Object>} Run summary
+ */
+const pollMissed = () => cacheService.refreshOlderThan(getConfig().interval * 1000 / 2, async () => {
+  const rooms = getWatchedRooms()
+  let events = 0
+
+  for (const room of rooms) {
+    try {
+      events += await pollRoom(room)
+    } catch (error) {
+      console.warn(`⚠️  Missed attacks feed skipped ${room}: ${error.message}`)
+    }
+  }
+
+  return { rooms: rooms.length, events }
+})
+
+/**
+ * Watch the Socket.IO missed attack rooms: poll while at least one has listeners
+ * @param {Object} server - Socket.IO server
+ */
+export const startMissedFeed = (server) => {
+  const config = getConfig()
+
+  if (!config.enabled || job) {
+    return
+  }
+
+  io = server
+  job = createScheduledJob({
+    name: 'missed-feed',
+    interval: config.interval * 1000,
+    run: pollMissed
+  })
+
+  const adapter = io.of('/').adapter
+
+  // The snapshot sent on join is the baseline, the first poll waits one interval
+  adapter.on('create-room', (room) => {
+    if (!room.startsWith(MISSED_ROOM_PREFIX) || !job) return
+    job.start()
+  })
+
+  adapter.on('delete-room', (room) => {
+    if (!room.startsWith(MISSED_ROOM_PREFIX) || !job) return
+
+    signatures.delete(room)
+
+    if (getWatchedRooms().length === 0) {
+      job.stop()
+    }
+  })
+
+  console.log(`🎯 Missed attacks feed ready (polls subscribed clans every ${config.interval}s)`)
+}
+
+/**
+ * Stop the missed attacks feed
+ */
+export const stopMissedFeed = () => {
+  if (!job) return
+
+  job.stop()
+  job = null
+  signatures.clear()
+}
+
+/**
+ * Get the feed status for the health endpoint
+ * @returns {Object} { enabled, rooms, job }
+ */
+export const getMissedFeedStatus = () => ({
+  enabled: job !== null,
+  rooms: job ? getWatchedRooms().length : 0,
+  job: job ? job.getStatus() : null
+})
@@ -0,0 +1,149 @@
+/**
+ * Create a token-bucket rate limiter with a bounded queue and retries
+ * - Every attempt (including retries) takes a token, tokens refill at `rate` per second
+ * - Callers wait in a FIFO queue when the bucket is empty, up to `maxQueue` callers
+ * - Retryable failures back off exponentially (baseDelay x 2^attempt, capped)
+ * - A delay requested by the server pauses the whole bucket, not just the failed call
+ *
+ * @param {Object} options - Limiter options
+ * @param {string} options.name - Limiter name (used in logs and stats)
+ * @param {number} options.rate - Tokens added per second
+ * @param {number} options.burst - Bucket size (max requests sent at once)
+ * @param {number} options.maxQueue - Max callers waiting for a token
+ * @param {number} options.maxRetries - Max retries per call (optional)
+ * @param {number} options.baseDelay - First retry delay in milliseconds (optional)
+ * @param {number} options.maxDelay - Max retry delay in milliseconds (optional)
+ * @param {Function} options.shouldRetry - Returns true if an error is worth retrying (optional)
+ * @param {Function} options.getRetryAfter - Returns the delay in milliseconds requested by an error, or null (optional)
+ * @returns {Object} Limiter with schedule() and getStats()
+ */
+export const createRateLimiter = ({
+  name,
+  rate,
+  burst,
+  maxQueue,
+  maxRetries = 3,
+  baseDelay = 500,
+  maxDelay = 30000,
+  shouldRetry = () => false,
+  getRetryAfter = () => null
+}) => {
+  const queue = []
+  let tokens = burst
+  let lastRefill = Date.now()
+  let pausedUntil = 0
+  let timer = null
+
+  const stats = {
+    requests: 0,
+    retries: 0,
+    throttled: 0,
+    rejected: 0,
+    failures: 0
+  }
+
+  const refill = () => {
+    const now = Date.now()
+    tokens = Math.min(burst, tokens + (now - lastRefill) / 1000 * rate)
+    lastRefill = now
+  }
+
+  /**
+   * Hand out tokens to waiting callers, then wait for the next token if needed
+   */
+  const drain = () => {
+    clearTimeout(timer)
+    timer = null
+    refill()
+
+    const now = Date.now()
+
+    while (queue.length > 0 && tokens >= 1 && now >= pausedUntil) {
+      tokens -= 1
+      queue.shift()()
+    }
+
+    if (queue.length > 0) {
+      const wait = Math.max(pausedUntil - now, (1 - tokens) / rate * 1000, 1)
+      timer = setTimeout(drain, Math.ceil(wait))
+    }
+  }
+
+  /**
+   * Wait for a token
+   * @returns {Promise<void>} Resolves when the caller may send a request
+   */
+  const acquire = () => {
+    if (queue.length >= maxQueue) {
+      stats.rejected++
+      const error = new Error(`${name} rate limiter queue is full (${maxQueue} waiting)`)
+      error.reason = 'queueFull'
+      return Promise.reject(error)
+    }
+
+    return new Promise(resolve => {
+      queue.push(resolve)
+      drain()
+    })
+  }
+
+  const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+  return {
+    /**
+     * Run a function once a token is available, retrying retryable failures
+     * @param {Function} fn - Async function performing the request
+     * @returns {Promise<any>} Result of fn
+     */
+    schedule: async (fn) => {
+      for (let attempt = 0; ; attempt++) {
+        await acquire()
+        stats.requests++
+
+        try {
+          return await fn()
+        } catch (error) {
+          if (error.status === 429) {
+            stats.throttled++
+          }
+
+          if (attempt >= maxRetries || !shouldRetry(error)) {
+            stats.failures++
+            throw error
+          }
+
+          const retryAfter = getRetryAfter(error)
+          const backoff = Math.min(baseDelay * 2 ** attempt, maxDelay)
+          const delay = retryAfter ?? Math.round(backoff / 2 + Math.random() * backoff / 2)
+
+          if (retryAfter) {
+            pausedUntil = Math.max(pausedUntil, Date.now() + retryAfter)
+          }
+
+          stats.retries++
+          console.warn(`⏳ ${name} request failed (${error.reason || error.message}), retry ${attempt + 1}/${maxRetries} in ${delay}ms`)
+          await sleep(delay)
+        }
+      }
+    },
+
+    /**
+     * Get limiter stats
+     * @returns {Object} Queue length, available tokens and counters
+     */
+    getStats: () => {
+      refill()
+
+      return {
+        name,
+        rate,
+        burst,
+        tokens: Math.floor(tokens),
+        queueLength: queue.length,
+        maxQueue,
+        pausedUntil: pausedUntil > Date.now() ? new Date(pausedUntil).toISOString() : null,
+        ...stats
+      }
+    }
+  }
+}
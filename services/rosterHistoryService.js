@@ -0,0 +1,168 @@
+import { createStore } from './storageService.js'
+import { isInRange } from '../utils/dates.js'
+
+// Roster events recorded between two snapshots of a clan
+export const ROSTER_EVENT_TYPES = ['join', 'leave', 'role_change', 'townhall_upgrade', 'name_change']
+
+// clashofclans.js already maps the API's "admin" role to "elder"
+const ROLE_RANKS = { member: 0, elder: 1, coLeader: 2, leader: 3 }
+
+const DEFAULT_RETENTION_DAYS = 365
+const DEFAULT_LIMIT = 100
+const MAX_LIMIT = 1000
+
+// rosters: { [clanTag]: { name, capturedAt, members: { [playerTag]: { name, role, townHallLevel } } } }
+// events: [{ type, at, clanTag, clanName, playerTag, playerName, from, to }] (oldest first)
+const store = createStore('roster-history', () => ({ rosters: {}, events: [] }))
+
+/**
+ * Snapshot a clan's roster (what diffRoster compares)
+ * @param {Object} clan - Clan from getClanDetails
+ * @param {string} at - Capture time (ISO string)
+ * @returns {Object} { name, capturedAt, members }
+ */
+export const createRosterSnapshot = (clan, at) => ({
+  name: clan.name,
+  capturedAt: at,
+  members: Object.fromEntries(clan.memberList.map(member => [member.tag, {
+    name: member.name,
+    role: member.role,
+    townHallLevel: member.townHallLevel
+  }]))
+})
+
+/**
+ * Compare a clan's previous roster with its current member list
+ * @param {Object} clan - Clan from getClanDetails
+ * @param {Object} previous - Previous roster snapshot
+ * @param {string} at - Capture time (ISO string)
+ * @returns {Array<Object>} Roster events
+ */
+export const diffRoster = (clan, previous, at) => {
+  const events = []
+  const current = new Map(clan.memberList.map(member => [member.tag, member]))
+  const event = (type, playerTag, playerName, extra = {}) => ({
+    type,
+    at,
+    clanTag: clan.tag,
+    clanName: clan.name,
+    playerTag,
+    playerName,
+    ...extra
+  })
+
+  for (const [tag, member] of current) {
+    const before = previous.members[tag]
+
+    if (!before) {
+      events.push(event('join', tag, member.name, { role: member.role, townHallLevel: member.townHallLevel }))
+      continue
+    }
+
+    if (before.name !== member.name) {
+      events.push(event('name_change', tag, member.name, { from: before.name, to: member.name }))
+    }
+
+    if (before.role !== member.role) {
+      const direction = (ROLE_RANKS[member.role] ?? 0) > (ROLE_RANKS[before.role] ?? 0) ? 'promotion' : 'demotion'
+      events.push(event('role_change', tag, member.name, { from: before.role, to: member.role, direction }))
+    }
+
+    if (member.townHallLevel > before.townHallLevel) {
+      events.push(event('townhall_upgrade', tag, member.name, { from: before.townHallLevel, to: member.townHallLevel }))
+    }
+  }
+
+  for (const [tag, before] of Object.entries(previous.members)) {
+    if (!current.has(tag)) {
+      events.push(event('leave', tag, before.name, { role: before.role, townHallLevel: before.townHallLevel }))
+    }
+  }
+
+  return events
+}
+
+/**
+ * Link a leave and a join of the same player within one capture (moved between family clans)
+ * @param {Array<Object>} events - Events of one capture
+ */
+const linkFamilyMoves = (events) => {
+  const leaves = new Map(events.filter(e => e.type === 'leave').map(e => [e.playerTag, e]))
+
+  for (const join of events.filter(e => e.type === 'join')) {
+    const leave = leaves.get(join.playerTag)
+
+    if (leave) {
+      join.fromClanTag = leave.clanTag
+      leave.toClanTag = join.clanTag
+    }
+  }
+}
+
+/**
+ * Snapshot the rosters of the given clans and record what changed since the last snapshot
+ * The first snapshot of a clan only sets the baseline (no events)
+ * @param {Array<Object>} clans - Clans from getClanDetails / getMultipleClans
+ * @returns {Promise<Object>} { clans, events } counts
+ */
+export const recordRosters = (clans) => store.update(doc => {
+  const at = new Date().toISOString()
+  const events = []
+
+  for (const clan of clans) {
+    const previous = doc.rosters[clan.tag]
+
+    if (previous) {
+      events.push(...diffRoster(clan, previous, at))
+    }
+
+    doc.rosters[clan.tag] = createRosterSnapshot(clan, at)
+  }
+
+  linkFamilyMoves(events)
+  doc.events.push(...events)
+
+  // Drop events older than the retention window
+  const retentionDays = parseInt(process.env.HISTORY_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS
+  const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000
+  doc.events = doc.events.filter(event => new Date(event.at).getTime() >= cutoff)
+
+  return { clans: clans.length, events: events.length }
+})
+
+/**
+ * Get roster events, newest first
+ * @param {Object} filters - Filters
+ * @param {string} filters.clanTag - Only this clan (optional)
+ * @param {Date} filters.from - Events at or after this date (optional)
+ * @param {Date} filters.to - Events at or before this date (optional)
+ * @param {Array<string>} filters.types - Only these event types (optional)
+ * @param {string} filters.playerTag - Only this player (optional)
+ * @param {number} filters.limit - Max events returned (default 100, max 1000)
+ * @returns {Promise<Object>} { total, events } where total counts all matches
+ */
+export const getRosterEvents = async ({ clanTag, from = null, to = null, types, playerTag, limit = DEFAULT_LIMIT } = {}) => {
+  const doc = await store.read()
+
+  const matches = doc.events.filter(event =>
+    (!clanTag || event.clanTag === clanTag) &&
+    (!types?.length || types.includes(event.type)) &&
+    (!playerTag || event.playerTag === playerTag) &&
+    isInRange(event.at, { from, to })
+  )
+
+  return {
+    total: matches.length,
+    events: matches.reverse().slice(0, Math.min(limit, MAX_LIMIT))
+  }
+}
+
+/**
+ * Get the time a clan's roster was last captured
+ * @param {string} clanTag - Clan tag
+ * @returns {Promise<string|null>} ISO timestamp or null if never captured
+ */
+export const getLastRosterCapture = async (clanTag) => {
+  const doc = await store.read()
+  return doc.rosters[clanTag]?.capturedAt || null
+}
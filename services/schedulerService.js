@@ -0,0 +1,129 @@
+/**
+ * Create a background job that runs on an interval
+ * - Each run is delayed by interval +/- a random jitter so jobs don't line up
+ * - Failed runs back off exponentially (interval x 2^failures, capped)
+ * - Runs never overlap
+ *
+ * @param {Object} options - Job options
+ * @param {string} options.name - Job name (used in logs and status)
+ * @param {number} options.interval - Milliseconds between runs
+ * @param {number} options.jitter - Max random offset in milliseconds (optional)
+ * @param {number} options.maxBackoff - Max delay after failures in milliseconds (optional)
+ * @param {Function} options.run - Async function doing the work, its return value is kept as lastResult
+ * @returns {Object} Job with start(), stop(), runNow() and getStatus()
+ */
+export const createScheduledJob = ({ name, interval, jitter = 0, maxBackoff = interval * 8, run }) => {
+  let timer = null
+  let stopped = true
+  let currentRun = null
+
+  const status = {
+    name,
+    interval,
+    running: false,
+    runs: 0,
+    failures: 0,
+    consecutiveFailures: 0,
+    lastRunAt: null,
+    lastSuccessAt: null,
+    lastDurationMs: null,
+    lastError: null,
+    lastResult: null,
+    nextRunAt: null
+  }
+
+  /**
+   * Delay until the next run, including backoff and jitter
+   * @returns {number} Delay in milliseconds
+   */
+  const getNextDelay = () => {
+    const base = status.consecutiveFailures > 0
+      ? Math.min(interval * 2 ** status.consecutiveFailures, maxBackoff)
+      : interval
+    const offset = (Math.random() * 2 - 1) * jitter
+
+    return Math.max(1000, Math.round(base + offset))
+  }
+
+  const schedule = (delay) => {
+    clearTimeout(timer)
+    status.nextRunAt = new Date(Date.now() + delay).toISOString()
+    timer = setTimeout(tick, delay)
+
+    // Don't keep the process alive just for background jobs
+    timer.unref()
+  }
+
+  /**
+   * Run the job once (waits for the current run if one is in progress)
+   * @returns {Promise<void>}
+   */
+  const runNow = () => {
+    if (currentRun) {
+      return currentRun
+    }
+
+    currentRun = (async () => {
+      const start = Date.now()
+      status.running = true
+      status.lastRunAt = new Date(start).toISOString()
+
+      try {
+        status.lastResult = await run() ?? null
+        status.lastSuccessAt = new Date().toISOString()
+        status.lastError = null
+        status.consecutiveFailures = 0
+      } catch (error) {
+        status.failures++
+        status.consecutiveFailures++
+        status.lastError = error.message
+        console.error(`❌ Job ${name} failed (${status.consecutiveFailures} in a row):`, error.message)
+      } finally {
+        status.runs++
+        status.running = false
+        status.lastDurationMs = Date.now() - start
+        currentRun = null
+      }
+    })()
+
+    return currentRun
+  }
+
+  const tick = async () => {
+    await runNow()
+
+    if (!stopped) {
+      schedule(getNextDelay())
+    }
+  }
+
+  return {
+    /**
+     * Start the job
+     * @param {number} initialDelay - Milliseconds before the first run (default: one interval)
+     */
+    start: (initialDelay = interval) => {
+      if (!stopped) return
+      stopped = false
+      schedule(initialDelay)
+    },
+
+    /**
+     * Stop scheduling further runs (a run in progress finishes normally)
+     */
+    stop: () => {
+      stopped = true
+      clearTimeout(timer)
+      timer = null
+      status.nextRunAt = null
+    },
+
+    runNow,
+
+    /**
+     * Get job status
+     * @returns {Object} Copy of the job status
+     */
+    getStatus: () => ({ ...status, enabled: !stopped })
+  }
+}
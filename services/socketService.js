@@ -0,0 +1,266 @@
+import { authenticate, hasRole } from './authService.js'
+import { CLAN_ROOM_PREFIX } from './clanFeedService.js'
+import { WAR_ROOM_PREFIX, sendWarSnapshot } from './warFeedService.js'
+import { MISSED_ROOM_PREFIX, sendMissedSnapshot } from './missedFeedService.js'
+import { isValidTag, normalizeTag } from '../utils/tags.js'
+import {
+  ForbiddenError,
+  RateLimitedError,
+  UnauthorizedError,
+  ValidationError
+} from '../utils/errors.js'
+
+/**
+ * Channels sockets can subscribe to with subscribe:<channel> / unsubscribe:<channel>
+ * - prefix: room name prefix, the canonical clan tag follows
+ * - role: minimum role of the handshake credential (null: anyone)
+ * - onJoin: called after joining, e.g. to send a snapshot
+ * - errorEvent: event for failures without acknowledgement (default subscription:error)
+ * The clan and war feeds are public (clan:war_attack carries the same attacks
+ * as the war feed), who still has to attack is for leaders
+ */
+const CHANNELS = {
+  clan: { prefix: CLAN_ROOM_PREFIX, role: null },
+  war: { prefix: WAR_ROOM_PREFIX, role: null, onJoin: sendWarSnapshot, errorEvent: 'war:error' },
+  missed: { prefix: MISSED_ROOM_PREFIX, role: 'leader', onJoin: sendMissedSnapshot }
+}
+
+const DEFAULT_MAX_SUBSCRIPTIONS = 20
+const DEFAULT_EVENT_RATE = 5
+const DEFAULT_EVENT_BURST = 10
+
+let io = null
+
+/**
+ * Read socket limits from the environment
+ * @returns {Object} Socket settings
+ */
+const getConfig = () => ({
+  maxSubscriptions: parseInt(process.env.SOCKET_MAX_SUBSCRIPTIONS) || DEFAULT_MAX_SUBSCRIPTIONS,
+  eventRate: parseInt(process.env.SOCKET_EVENT_RATE) || DEFAULT_EVENT_RATE,
+  eventBurst: parseInt(process.env.SOCKET_EVENT_BURST) || DEFAULT_EVENT_BURST
+})
+
+/**
+ * Read the credential from the handshake: auth.token, "Authorization: Bearer" or X-API-Key
+ * @param {Object} handshake - Socket.IO handshake
+ * @returns {string|null} Credential or null
+ */
+const getCredential = (handshake) => {
+  const [scheme, token] = (handshake.headers.authorization || '').split(' ')
+
+  if (handshake.auth?.token) {
+    return String(handshake.auth.token).trim()
+  }
+
+  if (scheme?.toLowerCase() === 'bearer' && token) {
+    return token.trim()
+  }
+
+  return handshake.headers['x-api-key']?.trim() || null
+}
+
+/**
+ * Socket.IO middleware: authenticate the handshake when it carries a credential
+ * Anonymous sockets are accepted (public channels only), a wrong credential is not
+ * Sets socket.data.auth to the principal or null
+ */
+const authenticateSocket = (socket, next) => {
+  const credential = getCredential(socket.handshake)
+
+  socket.data.auth = credential ? authenticate(credential) : null
+
+  if (credential && !socket.data.auth) {
+    const error = new UnauthorizedError('Invalid API key or bearer token')
+
+    // Sent to the client as connect_error (err.message, err.data)
+    error.data = { code: error.code }
+    return next(error)
+  }
+
+  next()
+}
+
+/**
+ * Token bucket limiting the events a socket can send
+ * @param {Object} config - { eventRate, eventBurst }
+ * @returns {Function} Returns true if the event may go through
+ */
+const createEventBucket = ({ eventRate, eventBurst }) => {
+  let tokens = eventBurst
+  let updatedAt = Date.now()
+
+  return () => {
+    const now = Date.now()
+
+    tokens = Math.min(eventBurst, tokens + (now - updatedAt) / 1000 * eventRate)
+    updatedAt = now
+
+    if (tokens < 1) {
+      return false
+    }
+
+    tokens--
+    return true
+  }
+}
+
+/**
+ * Answer a subscription request: through the acknowledgement callback when
+ * the client sent one, else with an error event on failures
+ * @param {Object} socket - Socket.IO socket
+ * @param {Function} ack - Acknowledgement callback (optional)
+ * @param {string} event - Event being answered
+ * @param {Object} result - { room } on success
+ * @param {Error} error - Error on failure
+ * @param {string} errorEvent - Event emitted on failure without acknowledgement
+ */
+const reply = (socket, ack, event, result, error = null, errorEvent = 'subscription:error') => {
+  const response = error
+    ? { ok: false, event, code: error.code || 'INTERNAL_ERROR', message: error.message }
+    : { ok: true, event, ...result }
+
+  if (typeof ack === 'function') {
+    ack(response)
+  } else if (error) {
+    socket.emit(errorEvent, response)
+  }
+}
+
+/**
+ * Validate a subscription payload and turn it into a room name
+ * @param {Object} channel - Channel definition
+ * @param {*} payload - Clan tag sent by the client
+ * @returns {string} Room name
+ * @throws {ValidationError} If the payload isn't a valid clan tag
+ */
+const getRoom = (channel, payload) => {
+  if (typeof payload !== 'string' || !isValidTag(payload)) {
+    throw new ValidationError('A valid clan tag is required (e.g. "#2PP")')
+  }
+
+  return `${channel.prefix}${normalizeTag(payload)}`
+}
+
+/**
+ * Subscribe a socket to a channel room, enforcing the channel role and the subscription limit
+ * @param {Object} socket - Socket.IO socket
+ * @param {string} name - Channel name
+ * @param {*} payload - Clan tag sent by the client
+ * @returns {Promise<string>} Room joined
+ */
+const subscribe = async (socket, name, payload) => {
+  const channel = CHANNELS[name]
+  const room = getRoom(channel, payload)
+  const principal = socket.data.auth
+
+  if (channel.role && !principal) {
+    throw new UnauthorizedError(`The ${name} channel requires an authenticated connection`)
+  }
+
+  if (channel.role && !hasRole(principal.role, channel.role)) {
+    throw new ForbiddenError(`The ${name} channel requires the ${channel.role} role`)
+  }
+
+  // socket.rooms also holds the socket's own room
+  const { maxSubscriptions } = getConfig()
+
+  if (!socket.rooms.has(room) && socket.rooms.size - 1 >= maxSubscriptions) {
+    throw new ValidationError(`Subscription limit reached (${maxSubscriptions} per connection)`)
+  }
+
+  socket.join(room)
+  console.log(`📡 Client ${socket.id} subscribed to ${room}`)
+
+  try {
+    await channel.onJoin?.(socket, room.slice(channel.prefix.length))
+  } catch (error) {
+    socket.leave(room)
+    throw error
+  }
+
+  return room
+}
+
+/**
+ * Register the connection handlers of a socket
+ * @param {Object} socket - Socket.IO socket
+ */
+const handleConnection = (socket) => {
+  const allowEvent = createEventBucket(getConfig())
+
+  console.log('🔌 Client connected:', socket.id)
+
+  // Drop events over the per-connection rate
+  socket.use((packet, next) => {
+    if (allowEvent()) {
+      return next()
+    }
+
+    const [event] = packet
+    const ack = packet[packet.length - 1]
+
+    reply(socket, ack, event, null, new RateLimitedError('Too many events, slow down'))
+  })
+
+  for (const [name, channel] of Object.entries(CHANNELS)) {
+    socket.on(`subscribe:${name}`, async (payload, ack) => {
+      try {
+        const room = await subscribe(socket, name, payload)
+        reply(socket, ack, `subscribe:${name}`, { room })
+      } catch (error) {
+        reply(socket, ack, `subscribe:${name}`, null, error, channel.errorEvent)
+      }
+    })
+
+    socket.on(`unsubscribe:${name}`, (payload, ack) => {
+      try {
+        const room = getRoom(channel, payload)
+        socket.leave(room)
+        reply(socket, ack, `unsubscribe:${name}`, { room })
+      } catch (error) {
+        reply(socket, ack, `unsubscribe:${name}`, null, error, channel.errorEvent)
+      }
+    })
+  }
+
+  socket.on('disconnect', () => {
+    console.log('🔌 Client disconnected:', socket.id)
+  })
+}
+
+/**
+ * Attach authentication, limits and channel handlers to the Socket.IO server
+ * @param {Object} server - Socket.IO server
+ */
+export const attachSocketServer = (server) => {
+  io = server
+  io.use(authenticateSocket)
+  io.on('connection', handleConnection)
+}
+
+/**
+ * List the channel rooms and how many sockets listen to each
+ * @returns {Object} { connections, rooms: [{ room, channel, clanTag, listeners }] }
+ */
+export const getSocketRooms = () => {
+  const rooms = []
+
+  for (const [room, sockets] of io.of('/').adapter.rooms) {
+    const [name] = Object.entries(CHANNELS).find(([, channel]) => room.startsWith(channel.prefix)) || []
+
+    if (name) {
+      rooms.push({
+        room,
+        channel: name,
+        clanTag: room.slice(CHANNELS[name].prefix.length),
+        listeners: sockets.size
+      })
+    }
+  }
+
+  return {
+    connections: io.of('/').sockets.size,
+    rooms: rooms.sort((a, b) => b.listeners - a.listeners)
+  }
+}
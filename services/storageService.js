@@ -0,0 +1,111 @@
+import { promises as fs } from 'fs'
+import path from 'path'
+
+/**
+ * JSON document stores for data we keep long term (roster history, wars...)
+ *
+ * Unlike the cache, these are the source of truth: nothing here can be
+ * fetched again from the CoC API. Each store is one JSON file in DATA_DIR,
+ * loaded in memory on first use and written back after every update.
+ */
+
+const DEFAULT_DATA_DIR = './data'
+
+const getDataDir = () => path.resolve(process.env.DATA_DIR || DEFAULT_DATA_DIR)
+
+/**
+ * Create a store persisted to DATA_DIR/<name>.json
+ * @param {string} name - Store name (file name without extension)
+ * @param {Function} createDefault - Returns the initial document when no file exists
+ * @returns {Object} Store with read(), update() and getInfo()
+ */
+export const createStore = (name, createDefault = () => ({})) => {
+  let document = null
+  let loading = null
+  let savedAt = null
+
+  // Updates run one at a time so concurrent jobs never interleave writes
+  let queue = Promise.resolve()
+
+  const getFilePath = () => path.join(getDataDir(), `${name}.json`)
+
+  const load = async () => {
+    try {
+      const content = await fs.readFile(getFilePath(), 'utf8')
+      document = { ...createDefault(), ...JSON.parse(content) }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error
+      }
+      document = createDefault()
+    }
+
+    return document
+  }
+
+  /**
+   * Write the document to disk (temp file + rename so a crash never corrupts it)
+   */
+  const save = async () => {
+    const filePath = getFilePath()
+    const tempPath = `${filePath}.tmp`
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true })
+    await fs.writeFile(tempPath, JSON.stringify(document))
+    await fs.rename(tempPath, filePath)
+    savedAt = new Date().toISOString()
+  }
+
+  /**
+   * Get the document (loaded from disk on first call)
+   * Treat it as read-only, change it through update()
+   * @returns {Promise<Object>} Document
+   */
+  const read = async () => {
+    if (document) {
+      return document
+    }
+
+    if (!loading) {
+      loading = load().finally(() => {
+        loading = null
+      })
+    }
+
+    return loading
+  }
+
+  return {
+    name,
+    read,
+
+    /**
+     * Change the document and persist it
+     * @param {Function} fn - Receives the document and mutates it, may be async
+     * @returns {Promise<any>} Return value of fn
+     */
+    update: (fn) => {
+      const run = queue.then(async () => {
+        const result = await fn(await read())
+        await save()
+        return result
+      })
+
+      // Keep the queue going after a failed update
+      queue = run.catch(() => {})
+
+      return run
+    },
+
+    /**
+     * Get store info for the health endpoint
+     * @returns {Object} { name, file, loaded, savedAt }
+     */
+    getInfo: () => ({
+      name,
+      file: getFilePath(),
+      loaded: document !== null,
+      savedAt
+    })
+  }
+}
@@ -0,0 +1,206 @@
+import { createStore } from './storageService.js'
+import { fetchTrinityClansFromSheet } from './googleSheetsService.js'
+import { isInRange } from '../utils/dates.js'
+
+/**
+ * Clan metrics sampled for trends
+ * family: how clans are combined in the family series
+ */
+const METRICS = {
+  clanPoints: { read: clan => clan.clanPoints, family: 'sum' },
+  clanLevel: { read: clan => clan.clanLevel, family: 'average' },
+  clanCapitalLevel: { read: clan => clan.clanCapitalLevel, family: 'average' },
+  warWins: { read: clan => clan.warWins, family: 'sum' },
+  // War league id (ordered from Unranked to Champion), names are listed under labels
+  warLeague: { read: clan => clan.warLeague?.id ?? null, family: 'max' },
+  members: { read: clan => clan.members, family: 'sum' }
+}
+
+export const TREND_METRICS = Object.keys(METRICS)
+
+const HOUR_MS = 60 * 60 * 1000
+const DAY_MS = 24 * HOUR_MS
+
+// Week buckets start on Monday (the epoch is a Thursday)
+const WEEK_OFFSET_MS = 4 * DAY_MS
+
+export const TREND_INTERVALS = {
+  hour: HOUR_MS,
+  day: DAY_MS,
+  week: 7 * DAY_MS
+}
+
+const DEFAULT_SAMPLE_INTERVAL = 3600
+const DEFAULT_RETENTION_DAYS = 365
+
+// clans: { [clanTag]: { name, samples: [{ at, ...metrics }] } } (oldest first)
+// leagues: { [warLeagueId]: name }
+const store = createStore('trends', () => ({ clans: {}, leagues: {} }))
+
+/**
+ * Sample the trend metrics of the given clans
+ * Family snapshots run more often than we need, a clan is only sampled
+ * once every TRENDS_SAMPLE_INTERVAL seconds (default 1 hour)
+ * @param {Array<Object>} clans - Clans from getClanDetails / getMultipleClans
+ * @returns {Promise<Object>} { clans, samples } counts
+ */
+export const recordTrends = (clans) => store.update(doc => {
+  const now = Date.now()
+  const sampleInterval = (parseInt(process.env.TRENDS_SAMPLE_INTERVAL) || DEFAULT_SAMPLE_INTERVAL) * 1000
+  const retentionDays = parseInt(process.env.HISTORY_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS
+  const cutoff = now - retentionDays * DAY_MS
+  let samples = 0
+
+  for (const clan of clans) {
+    const history = doc.clans[clan.tag] ??= { name: clan.name, samples: [] }
+    const last = history.samples[history.samples.length - 1]
+
+    history.name = clan.name
+
+    if (clan.warLeague) {
+      doc.leagues[clan.warLeague.id] = clan.warLeague.name
+    }
+
+    if (last && now - new Date(last.at).getTime() < sampleInterval) {
+      continue
+    }
+
+    history.samples.push({
+      at: new Date(now).toISOString(),
+      ...Object.fromEntries(Object.entries(METRICS).map(([metric, { read }]) => [metric, read(clan)]))
+    })
+    history.samples = history.samples.filter(sample => new Date(sample.at).getTime() >= cutoff)
+    samples++
+  }
+
+  return { clans: clans.length, samples }
+})
+
+/**
+ * Start of the bucket a timestamp falls in
+ * @param {string} timestamp - ISO timestamp
+ * @param {string} interval - Key of TREND_INTERVALS
+ * @returns {number} Bucket start in milliseconds
+ */
+const getBucket = (timestamp, interval) => {
+  const size = TREND_INTERVALS[interval]
+  const offset = interval === 'week' ? WEEK_OFFSET_MS : 0
+  const time = new Date(timestamp).getTime()
+
+  return Math.floor((time - offset) / size) * size + offset
+}
+
+/**
+ * Downsample a clan's samples: the last value of each bucket
+ * @param {Array<Object>} samples - Samples, oldest first
+ * @param {string} interval - Key of TREND_INTERVALS
+ * @returns {Map<number, Object>} Last sample per bucket start
+ */
+const downsample = (samples, interval) => {
+  const buckets = new Map()
+
+  for (const sample of samples) {
+    buckets.set(getBucket(sample.at, interval), sample)
+  }
+
+  return buckets
+}
+
+/**
+ * Turn buckets into one series per metric
+ * @param {Map<number, Object>} buckets - Values per bucket start
+ * @param {Array<string>} metrics - Metrics to return
+ * @returns {Object} { [metric]: [{ at, value }] }
+ */
+const toSeries = (buckets, metrics) => {
+  const entries = [...buckets.entries()].sort(([a], [b]) => a - b)
+
+  return Object.fromEntries(metrics.map(metric => [
+    metric,
+    entries.map(([bucket, values]) => ({ at: new Date(bucket).toISOString(), value: values[metric] }))
+  ]))
+}
+
+/**
+ * Get a clan's trend series
+ * @param {string} clanTag - Clan tag
+ * @param {Object} options - Options
+ * @param {Array<string>} options.metrics - Metrics to return (default: all)
+ * @param {Date} options.from - Samples at or after this date (optional)
+ * @param {Date} options.to - Samples at or before this date (optional)
+ * @param {string} options.interval - "hour", "day" (default) or "week"
+ * @returns {Promise<Object|null>} Series, or null if the clan was never sampled
+ */
+export const getClanTrends = async (clanTag, { metrics = TREND_METRICS, from = null, to = null, interval = 'day' } = {}) => {
+  const doc = await store.read()
+  const history = doc.clans[clanTag]
+
+  if (!history) {
+    return null
+  }
+
+  const samples = history.samples.filter(sample => isInRange(sample.at, { from, to }))
+
+  return {
+    clanTag,
+    clanName: history.name,
+    interval,
+    samples: samples.length,
+    series: toSeries(downsample(samples, interval), metrics),
+    labels: metrics.includes('warLeague') ? { warLeague: doc.leagues } : {}
+  }
+}
+
+/**
+ * Combine one metric of several clans
+ * @param {Array<number>} values - Values of the clans sampled in the bucket
+ * @param {string} method - "sum", "average" or "max"
+ * @returns {number|null} Combined value
+ */
+const combine = (values, method) => {
+  const present = values.filter(value => value !== null && value !== undefined)
+
+  if (present.length === 0) return null
+  if (method === 'max') return Math.max(...present)
+
+  const total = present.reduce((sum, value) => sum + value, 0)
+  return method === 'average' ? Math.round(total / present.length * 100) / 100 : total
+}
+
+/**
+ * Get the family trend series: every Trinity clan combined per bucket
+ * (sums for points, war wins and members, averages for levels, best war league)
+ * plus a "clans" series with the number of clans sampled in each bucket
+ * @param {Object} options - Options of getClanTrends
+ * @returns {Promise<Object>} Series
+ */
+export const getFamilyTrends = async ({ metrics = TREND_METRICS, from = null, to = null, interval = 'day' } = {}) => {
+  const doc = await store.read()
+  const clanTags = (await fetchTrinityClansFromSheet()).filter(clanTag => doc.clans[clanTag])
+  const buckets = new Map()
+
+  for (const clanTag of clanTags) {
+    const samples = doc.clans[clanTag].samples.filter(sample => isInRange(sample.at, { from, to }))
+
+    for (const [bucket, sample] of downsample(samples, interval)) {
+      const clans = buckets.get(bucket) ?? []
+      clans.push(sample)
+      buckets.set(bucket, clans)
+    }
+  }
+
+  const combined = new Map([...buckets.entries()].map(([bucket, samples]) => [bucket, {
+    clans: samples.length,
+    ...Object.fromEntries(metrics.map(metric => [
+      metric,
+      combine(samples.map(sample => sample[metric]), METRICS[metric].family)
+    ]))
+  }]))
+
+  return {
+    clanTags,
+    interval,
+    series: toSeries(combined, [...metrics, 'clans']),
+    labels: metrics.includes('warLeague') ? { warLeague: doc.leagues } : {}
+  }
+}
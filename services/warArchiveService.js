@@ -0,0 +1,225 @@
+import { createStore } from './storageService.js'
+import { isInRange } from '../utils/dates.js'
+import { isValidTag, normalizeTag } from '../utils/tags.js'
+
+export const WAR_TYPES = ['regular', 'cwl']
+export const WAR_RESULTS = ['win', 'lose', 'tie']
+
+const DEFAULT_LIMIT = 50
+const MAX_LIMIT = 500
+
+// wars: { [warId]: ArchivedWar } one entry per war and family clan (its point of view)
+// active: { [clanTag]: war } last in-progress state seen per clan, archived if the war ends unseen
+const store = createStore('wars', () => ({ wars: {}, active: {} }))
+
+const toISOString = (date) => date ? new Date(date).toISOString() : null
+
+/**
+ * Build a stable, URL safe id for a war seen from a clan
+ * @param {string} clanTag - Clan tag
+ * @param {Object} war - Formatted war
+ * @returns {string} e.g. "PQL0289-20261019T120000Z" or "PQL0289-8QJ2VYL0C" for CWL
+ */
+const getWarId = (clanTag, war) => {
+  const suffix = war.warTag
+    ? war.warTag.replace('#', '')
+    : toISOString(war.preparationStartTime).replace(/[-:]|\.\d{3}/g, '')
+
+  return `${clanTag.replace('#', '')}-${suffix}`
+}
+
+/**
+ * Work out the war result for the clan: stars first, destruction breaks ties
+ * @param {Object} war - Formatted war
+ * @returns {string} "win", "lose" or "tie"
+ */
+const getWarResult = (war) => {
+  const difference = (war.clan.stars - war.opponent.stars) ||
+    (war.clan.destructionPercentage - war.opponent.destructionPercentage)
+
+  return difference > 0 ? 'win' : difference < 0 ? 'lose' : 'tie'
+}
+
+/**
+ * List every attack of both clans in order, with both players resolved
+ * @param {Object} war - Formatted war (getCurrentWar / getCWLRoundWar)
+ * @returns {Array<Object>} Attacks sorted by order
+ */
+export const flattenAttacks = (war) => {
+  const members = new Map()
+
+  for (const side of [war.clan, war.opponent]) {
+    for (const member of side.members) {
+      members.set(member.tag, { ...member, clanTag: side.tag })
+    }
+  }
+
+  return [...members.values()]
+    .flatMap(attacker => attacker.attacks.map(attack => {
+      const defender = members.get(attack.defenderTag)
+
+      return {
+        order: attack.order,
+        attackerTag: attacker.tag,
+        attackerName: attacker.name,
+        attackerClanTag: attacker.clanTag,
+        attackerTownHallLevel: attacker.townHallLevel,
+        attackerMapPosition: attacker.mapPosition,
+        defenderTag: attack.defenderTag,
+        defenderName: defender?.name || null,
+        defenderTownHallLevel: defender?.townHallLevel || null,
+        defenderMapPosition: defender?.mapPosition || null,
+        stars: attack.stars,
+        destruction: attack.destruction,
+        duration: attack.duration
+      }
+    }))
+    .sort((a, b) => a.order - b.order)
+}
+
+/**
+ * Store a war in the archive document
+ * A complete war (seen ended) is never replaced by an incomplete one
+ * @param {Object} doc - Store document
+ * @param {string} clanTag - Family clan the war is seen from
+ * @param {Object} war - Formatted war with the family clan as "clan"
+ * @param {Object} options - { type, complete, season, round }
+ * @returns {boolean} True if the war was added or updated
+ */
+const putWar = (doc, clanTag, war, { type, complete, season = null, round = null }) => {
+  const id = getWarId(clanTag, war)
+
+  if (doc.wars[id]?.complete) {
+    return false
+  }
+
+  doc.wars[id] = {
+    id,
+    type,
+    season,
+    round,
+    complete,
+    result: getWarResult(war),
+    state: war.state,
+    teamSize: war.teamSize,
+    attacksPerMember: war.attacksPerMember,
+    warTag: war.warTag,
+    preparationStartTime: toISOString(war.preparationStartTime),
+    startTime: toISOString(war.startTime),
+    endTime: toISOString(war.endTime),
+    archivedAt: new Date().toISOString(),
+    clan: war.clan,
+    opponent: war.opponent,
+    attacks: flattenAttacks(war)
+  }
+
+  console.log(`🗄️ Archived ${type} war ${id} (${war.clan.name} vs ${war.opponent.name}${complete ? '' : ', last state seen'})`)
+
+  return true
+}
+
+/**
+ * Record a family clan's current regular war
+ * - Ended wars are archived with their final state
+ * - In-progress wars are remembered; if one disappears before we saw it end
+ *   (downtime, private war log) its last known state is archived as incomplete
+ * @param {string} clanTag - Family clan tag
+ * @param {Object} war - War from getCurrentWar
+ * @returns {Promise<number>} Number of wars archived
+ */
+export const recordCurrentWar = (clanTag, war) => store.update(doc => {
+  const active = doc.active[clanTag]
+  const id = war.state === 'notInWar' ? null : getWarId(clanTag, war)
+  let archived = 0
+
+  if (active && getWarId(clanTag, active) !== id) {
+    if (putWar(doc, clanTag, active, { type: 'regular', complete: false })) archived++
+    delete doc.active[clanTag]
+  }
+
+  if (war.state === 'warEnded') {
+    if (putWar(doc, clanTag, war, { type: 'regular', complete: true })) archived++
+    delete doc.active[clanTag]
+  } else if (war.state === 'inWar') {
+    doc.active[clanTag] = war
+  }
+
+  return archived
+})
+
+/**
+ * Record a family clan's CWL round wars, archiving the ended ones
+ * @param {string} clanTag - Family clan tag
+ * @param {Array<Object>} wars - Wars from getCWLRoundWar (clan as "clan", with round)
+ * @param {string} season - CWL season ("YYYY-MM")
+ * @returns {Promise<number>} Number of wars archived
+ */
+export const recordCWLWars = (clanTag, wars, season) => store.update(doc => {
+  let archived = 0
+
+  for (const war of wars) {
+    if (war.state === 'warEnded') {
+      if (putWar(doc, clanTag, war, { type: 'cwl', complete: true, season, round: war.round })) archived++
+    }
+  }
+
+  return archived
+})
+
+/**
+ * Find archived wars, newest first
+ * @param {Object} filters - Filters
+ * @param {string} filters.clanTag - Only wars of this family clan (optional)
+ * @param {string} filters.opponent - Opponent tag or part of its name, matched both ways (optional)
+ * @param {Date} filters.from - Wars ending at or after this date (optional)
+ * @param {Date} filters.to - Wars ending at or before this date (optional)
+ * @param {string} filters.result - "win", "lose" or "tie" (optional)
+ * @param {string} filters.type - "regular" or "cwl" (optional)
+ * @returns {Promise<Array<Object>>} Full archived wars
+ */
+export const findWars = async ({ clanTag, opponent, from = null, to = null, result, type } = {}) => {
+  const doc = await store.read()
+  // Names like "LOL2" are valid tags too: match the tag or the raw name
+  const opponentTag = opponent && isValidTag(opponent) ? normalizeTag(opponent) : null
+  const opponentName = opponent?.toLowerCase()
+
+  return Object.values(doc.wars)
+    .filter(war =>
+      (!clanTag || war.clan.tag === clanTag) &&
+      (!opponent || war.opponent.tag === opponentTag || war.opponent.name.toLowerCase().includes(opponentName)) &&
+      (!result || war.result === result) &&
+      (!type || war.type === type) &&
+      isInRange(war.endTime, { from, to })
+    )
+    // Wars archived without an end time go last
+    .sort((a, b) => (b.endTime || '').localeCompare(a.endTime || ''))
+}
+
+/**
+ * Get archived war summaries (no lineups or attacks), newest first
+ * @param {Object} filters - Filters of findWars, plus limit (default 50, max 500)
+ * @returns {Promise<Object>} { total, wars } where total counts all matches
+ */
+export const getWars = async ({ limit = DEFAULT_LIMIT, ...filters } = {}) => {
+  const wars = await findWars(filters)
+  const summarize = ({ members, ...clan }) => ({ ...clan, members: members.length })
+
+  return {
+    total: wars.length,
+    wars: wars.slice(0, Math.min(limit, MAX_LIMIT)).map(({ attacks, clan, opponent, ...war }) => ({
+      ...war,
+      clan: summarize(clan),
+      opponent: summarize(opponent)
+    }))
+  }
+}
+
+/**
+ * Get one archived war with both lineups and every attack
+ * @param {string} warId - War id
+ * @returns {Promise<Object|null>} Archived war or null
+ */
+export const getWar = async (warId) => {
+  const doc = await store.read()
+  return doc.wars[warId] || null
+}
@@ -0,0 +1,297 @@
+import { cacheService } from './cacheService.js'
+import { createScheduledJob } from './schedulerService.js'
+import { getCurrentWar, getCWLGroup, getCWLRoundWar } from './clashOfClansService.js'
+import { flattenAttacks } from './warArchiveService.js'
+import { NotFoundError } from '../utils/errors.js'
+
+// Sockets join "war:<tag>" rooms with subscribe:war
+export const WAR_ROOM_PREFIX = 'war:'
+
+const LIVE_STATES = ['preparation', 'inWar']
+const DEFAULT_INTERVAL = 30
+
+let io = null
+let job = null
+
+// Followed war per room: { clanTag, war, seen: Set<order>, ended }
+const rooms = new Map()
+
+/**
+ * Read feed settings from the environment (in seconds)
+ * @returns {Object} Feed settings
+ */
+const getConfig = () => ({
+  enabled: process.env.WAR_FEED_ENABLED !== 'false',
+  interval: parseInt(process.env.WAR_FEED_INTERVAL) || DEFAULT_INTERVAL
+})
+
+/**
+ * Find the war to follow for a clan: its regular war, or the CWL round in progress
+ * @param {string} clanTag - Clan tag
+ * @returns {Promise<Object>} War with type ("regular" or "cwl"), may be ended or notInWar
+ */
+const getLiveWar = async (clanTag) => {
+  const war = await getCurrentWar(clanTag)
+
+  if (LIVE_STATES.includes(war.state)) {
+    return { ...war, type: 'regular' }
+  }
+
+  try {
+    const group = await getCWLGroup(clanTag)
+
+    // Latest drawn rounds first, the round in its battle day
+    for (const { round, warTags } of [...group.rounds].reverse()) {
+      if (warTags.length === 0) continue
+
+      const roundWar = await getCWLRoundWar(clanTag, round)
+
+      if (roundWar?.state === 'inWar') {
+        return { ...roundWar, type: 'cwl' }
+      }
+    }
+  } catch (error) {
+    if (!(error instanceof NotFoundError)) throw error
+  }
+
+  return { ...war, type: 'regular' }
+}
+
+/**
+ * Copy a running score, destruction rounded to 2 decimals like the API
+ * (the total is kept unrounded so rounding errors don't add up)
+ * @param {Object} score - { stars, destruction, attacks }
+ * @returns {Object} Rounded score
+ */
+const roundScore = (score) => ({
+  ...score,
+  destruction: Math.round(score.destruction * 100) / 100
+})
+
+/**
+ * Replay a war's attacks in order and keep the score after each one
+ * Only a defender's best attack counts: stars and destruction above it are added
+ * @param {Object} war - War with the clan as "clan"
+ * @returns {Array<Object>} Attacks with newStars and score ({ clan, opponent }: { stars, destruction, attacks })
+ */
+const withRunningScore = (war) => {
+  const best = new Map()
+  const score = {
+    clan: { stars: 0, destruction: 0, attacks: 0 },
+    opponent: { stars: 0, destruction: 0, attacks: 0 }
+  }
+
+  return flattenAttacks(war).map(attack => {
+    const side = attack.attackerClanTag === war.clan.tag ? 'clan' : 'opponent'
+    const previous = best.get(attack.defenderTag) ?? { stars: 0, destruction: 0 }
+    const newStars = Math.max(0, attack.stars - previous.stars)
+    const newDestruction = Math.max(0, attack.destruction - previous.destruction)
+
+    best.set(attack.defenderTag, {
+      stars: Math.max(previous.stars, attack.stars),
+      destruction: Math.max(previous.destruction, attack.destruction)
+    })
+
+    score[side].stars += newStars
+    score[side].destruction += newDestruction / war.teamSize
+    score[side].attacks++
+
+    return {
+      ...attack,
+      side,
+      newStars,
+      score: { clan: roundScore(score.clan), opponent: roundScore(score.opponent) }
+    }
+  })
+}
+
+/**
+ * Summary of a war sent with every event
+ * @param {Object} war - War from getLiveWar
+ * @returns {Object} War summary
+ */
+const summarizeWar = (war) => ({
+  type: war.type,
+  round: war.round || null,
+  state: war.state,
+  teamSize: war.teamSize,
+  attacksPerMember: war.attacksPerMember,
+  startTime: war.startTime,
+  endTime: war.endTime,
+  clan: war.clan ? { tag: war.clan.tag, name: war.clan.name } : null,
+  opponent: war.opponent ? { tag: war.opponent.tag, name: war.opponent.name } : null,
+  score: war.clan ? {
+    clan: { stars: war.clan.stars, destruction: war.clan.destructionPercentage, attacks: war.clan.attacks },
+    opponent: { stars: war.opponent.stars, destruction: war.opponent.destructionPercentage, attacks: war.opponent.attacks }
+  } : null
+})
+
+/**
+ * Follow a room's war from this state on
+ * @param {string} room - Room name
+ * @param {string} clanTag - Clan tag
+ * @param {Object} war - War from getLiveWar
+ * @param {Array<Object>} attacks - Attacks already known
+ */
+const trackRoom = (room, clanTag, war, attacks) => {
+  const ended = !LIVE_STATES.includes(war.state)
+
+  rooms.set(room, { clanTag, war, seen: new Set(attacks.map(attack => attack.order)), ended })
+
+  if (!ended) {
+    job?.start()
+  }
+}
+
+/**
+ * Send the current war and every attack so far to a socket that just joined
+ * (also starts following the war, or a new one once the last has ended)
+ * @param {Object} socket - Socket.IO socket
+ * @param {string} clanTag - Canonical clan tag
+ * @returns {Promise<void>}
+ */
+export const sendWarSnapshot = async (socket, clanTag) => {
+  const room = `${WAR_ROOM_PREFIX}${clanTag}`
+  const war = await getLiveWar(clanTag)
+  const attacks = war.clan ? withRunningScore(war) : []
+
+  // Rooms already followed keep their state, other listeners still need the attacks we haven't polled
+  if (!rooms.get(room) || rooms.get(room).ended) {
+    trackRoom(room, clanTag, war, attacks)
+  }
+
+  socket.emit('war:snapshot', { clanTag, war: summarizeWar(war), attacks })
+}
+
+/**
+ * Fetch the war a room follows (the same CWL round, or the clan's regular war)
+ * @param {Object} tracked - Room state
+ * @returns {Promise<Object|null>} War, null if the CWL round can't be found anymore
+ */
+const fetchFollowedWar = async ({ clanTag, war }) => {
+  if (war.type === 'cwl') {
+    const roundWar = await getCWLRoundWar(clanTag, war.round)
+    return roundWar && { ...roundWar, type: 'cwl' }
+  }
+
+  return { ...await getCurrentWar(clanTag), type: 'regular' }
+}
+
+/**
+ * Fetch a followed war and emit its new attacks and state changes
+ * @param {string} room - Room name
+ * @param {Object} tracked - Room state
+ * @returns {Promise<number>} Number of events emitted
+ */
+const pollRoom = async (room, tracked) => {
+  const war = await fetchFollowedWar(tracked)
+  const sameWar = Boolean(war?.preparationStartTime) &&
+    new Date(war.preparationStartTime).getTime() === new Date(tracked.war.preparationStartTime).getTime()
+  const emit = (event, payload) => io.to(room).emit(event, { clanTag: tracked.clanTag, ...payload })
+  let events = 0
+
+  // The API already moved on to another war (or none) before we saw this one
+  // end: close the feed with what we saw last
+  if (!sameWar) {
+    emit('war:ended', { war: summarizeWar(tracked.war) })
+    tracked.ended = true
+    return 1
+  }
+
+  for (const attack of war.clan ? withRunningScore(war) : []) {
+    if (tracked.seen.has(attack.order)) continue
+
+    tracked.seen.add(attack.order)
+    emit('war:attack', { war: summarizeWar(war), attack })
+    events++
+  }
+
+  if (war.state !== tracked.war.state) {
+    emit('war:state_changed', { from: tracked.war.state, to: war.state, war: summarizeWar(war) })
+    events++
+  }
+
+  tracked.war = war
+
+  if (!LIVE_STATES.includes(war.state)) {
+    emit('war:ended', { war: summarizeWar(war) })
+    tracked.ended = true
+    events++
+  }
+
+  return events
+}
+
+/**
+ * Poll every followed war that's still live, stop once none is left
+ * Wars are cached for longer than the interval: entries not fetched since
+ * the previous poll are refetched so each poll sees the latest attacks
+ * @returns {Promise<Object>} Run summary
+ */
+const pollWars = () => cacheService.refreshOlderThan(getConfig().interval * 1000 / 2, async () => {
+  const live = [...rooms.entries()].filter(([, tracked]) => !tracked.ended)
+  let events = 0
+
+  for (const [room, tracked] of live) {
+    try {
+      events += await pollRoom(room, tracked)
+    } catch (error) {
+      console.warn(`⚠️  War feed skipped ${room}: ${error.message}`)
+    }
+  }
+
+  if (![...rooms.values()].some(tracked => !tracked.ended)) {
+    job.stop()
+  }
+
+  return { rooms: live.length, events }
+})
+
+/**
+ * Set up the war feed (polling starts with the first subscriber)
+ * @param {Object} server - Socket.IO server
+ */
+export const startWarFeed = (server) => {
+  const config = getConfig()
+
+  if (!config.enabled || job) {
+    return
+  }
+
+  io = server
+  job = createScheduledJob({
+    name: 'war-feed',
+    interval: config.interval * 1000,
+    run: pollWars
+  })
+
+  io.of('/').adapter.on('delete-room', (room) => {
+    if (room.startsWith(WAR_ROOM_PREFIX)) {
+      rooms.delete(room)
+    }
+  })
+
+  console.log(`⚔️  War feed ready (polls live wars with listeners every ${config.interval}s)`)
+}
+
+/**
+ * Stop the war feed
+ */
+export const stopWarFeed = () => {
+  if (!job) return
+
+  job.stop()
+  job = null
+  rooms.clear()
+}
+
+/**
+ * Get the feed status for the health endpoint
+ * @returns {Object} { enabled, rooms, liveRooms, job }
+ */
+export const getWarFeedStatus = () => ({
+  enabled: job !== null,
+  rooms: rooms.size,
+  liveRooms: [...rooms.values()].filter(tracked => !tracked.ended).length,
+  job: job ? job.getStatus() : null
+})
@@ -0,0 +1,128 @@
+import { findWars } from './warArchiveService.js'
+
+export const WAR_PERFORMANCE_SORTS = [
+  'averageStars',
+  'threeStarRate',
+  'averageDestruction',
+  'attackUsage',
+  'attacksUsed',
+  'attacksAvailable',
+  'stars',
+  'wars',
+  'hitsUp',
+  'hitsEven',
+  'hitsDown'
+]
+
+const round = (value) => Math.round(value * 100) / 100
+
+const average = (total, count) => count > 0 ? round(total / count) : 0
+
+const percentage = (part, total) => total > 0 ? round(part / total * 100) : 0
+
+/**
+ * Add an attack to a group of attacks (a player, or one TH difference)
+ * @param {Object} totals - { attacks, stars, threeStars, destruction }
+ * @param {Object} attack - Archived attack
+ */
+const addAttack = (totals, attack) => {
+  totals.attacks++
+  totals.stars += attack.stars
+  totals.threeStars += attack.stars === 3 ? 1 : 0
+  totals.destruction += attack.destruction
+}
+
+const emptyTotals = () => ({ attacks: 0, stars: 0, threeStars: 0, destruction: 0 })
+
+/**
+ * Turn attack totals into averages and rates
+ * @param {Object} totals - { attacks, stars, threeStars, destruction }
+ * @returns {Object} { attacks, averageStars, threeStarRate, averageDestruction }
+ */
+const summarize = (totals) => ({
+  attacks: totals.attacks,
+  averageStars: average(totals.stars, totals.attacks),
+  threeStarRate: percentage(totals.threeStars, totals.attacks),
+  averageDestruction: average(totals.destruction, totals.attacks)
+})
+
+/**
+ * Get war performance per family member from the war archive
+ * Only wars seen until the end count, so attacks available are never overstated
+ * Town hall difference is the defender's level minus the attacker's: > 0 is a hit up
+ * @param {Object} filters - Filters
+ * @param {string} filters.clanTag - Only wars of this family clan (optional)
+ * @param {Date} filters.from - Wars ending at or after this date (optional)
+ * @param {Date} filters.to - Wars ending at or before this date (optional)
+ * @param {string} filters.type - "regular" or "cwl" (optional)
+ * @param {string} filters.sort - Metric from WAR_PERFORMANCE_SORTS (default: averageStars)
+ * @param {string} filters.order - "desc" (default) or "asc"
+ * @returns {Promise<Object>} { wars, sort, order, members }
+ */
+export const getWarPerformance = async ({ clanTag, from, to, type, sort = 'averageStars', order = 'desc' } = {}) => {
+  const wars = (await findWars({ clanTag, from, to, type })).filter(war => war.complete)
+  const players = new Map()
+
+  // Wars are newest first: the first time we see a player gives their current name and TH
+  for (const war of wars) {
+    const attacks = war.attacks.filter(attack => attack.attackerClanTag === war.clan.tag)
+
+    for (const member of war.clan.members) {
+      const player = players.get(member.tag) ?? {
+        tag: member.tag,
+        name: member.name,
+        townHallLevel: member.townHallLevel,
+        clanTag: war.clan.tag,
+        wars: 0,
+        attacksAvailable: 0,
+        totals: emptyTotals(),
+        byDifference: {}
+      }
+
+      player.wars++
+      player.attacksAvailable += war.attacksPerMember
+
+      for (const attack of attacks.filter(attack => attack.attackerTag === member.tag)) {
+        const difference = (attack.defenderTownHallLevel ?? attack.attackerTownHallLevel) - attack.attackerTownHallLevel
+
+        addAttack(player.totals, attack)
+        addAttack(player.byDifference[difference] ??= emptyTotals(), attack)
+      }
+
+      players.set(member.tag, player)
+    }
+  }
+
+  const members = [...players.values()].map(({ totals, byDifference, ...player }) => {
+    const differences = Object.entries(byDifference).map(([difference, group]) => [Number(difference), group])
+    const countAttacks = (match) => differences
+      .filter(([difference]) => match(difference))
+      .reduce((count, [, group]) => count + group.attacks, 0)
+    const { attacks, ...rates } = summarize(totals)
+
+    return {
+      ...player,
+      attacksUsed: attacks,
+      attackUsage: percentage(attacks, player.attacksAvailable),
+      stars: totals.stars,
+      ...rates,
+      hitsUp: countAttacks(difference => difference > 0),
+      hitsEven: countAttacks(difference => difference === 0),
+      hitsDown: countAttacks(difference => difference < 0),
+      byTownHallDifference: differences
+        .sort(([a], [b]) => b - a)
+        .map(([difference, group]) => ({ difference, ...summarize(group) }))
+    }
+  })
+
+  const direction = order === 'asc' ? 1 : -1
+
+  return {
+    wars: wars.length,
+    sort,
+    order,
+    members: members
+      .sort((a, b) => direction * (a[sort] - b[sort]) || b.attacksUsed - a.attacksUsed)
+      .map((member, index) => ({ rank: index + 1, ...member }))
+  }
+}
@@ -0,0 +1,126 @@
+import { cacheService } from './cacheService.js'
+import { createScheduledJob } from './schedulerService.js'
+import { fetchTrinityClansFromSheet } from './googleSheetsService.js'
+import { getCurrentWar, getCWLGroup, getCWLRoundWar } from './clashOfClansService.js'
+import { recordCurrentWar, recordCWLWars } from './warArchiveService.js'
+import { NotFoundError } from '../utils/errors.js'
+
+// Default interval (in seconds) between war checks, matches the CLAN_WAR cache TTL
+const DEFAULT_INTERVAL = 300
+const DEFAULT_JITTER = 30
+
+// Cached wars going stale within this window are refetched before recording
+const REFRESH_WINDOW = 60000
+
+let job = null
+
+/**
+ * Read watcher settings from the environment (in seconds)
+ * @returns {Object} Watcher settings
+ */
+const getConfig = () => ({
+  enabled: process.env.WAR_WATCHER_ENABLED !== 'false',
+  interval: parseInt(process.env.WAR_WATCHER_INTERVAL) || DEFAULT_INTERVAL,
+  jitter: parseInt(process.env.WAR_WATCHER_JITTER) || DEFAULT_JITTER
+})
+
+/**
+ * Archive the ended CWL rounds of a clan
+ * Finished rounds are cached for days, so polling them again is cheap
+ * @param {string} clanTag - Family clan tag
+ * @returns {Promise<number>} Number of wars archived
+ */
+const watchCWL = async (clanTag) => {
+  let group
+
+  try {
+    group = await getCWLGroup(clanTag)
+  } catch (error) {
+    // Not in CWL this season
+    if (error instanceof NotFoundError) return 0
+    throw error
+  }
+
+  const wars = []
+
+  for (const { round, warTags } of group.rounds) {
+    if (warTags.length === 0) continue
+
+    const war = await getCWLRoundWar(clanTag, round)
+
+    if (war) {
+      wars.push(war)
+    }
+  }
+
+  return recordCWLWars(clanTag, wars, group.season)
+}
+
+/**
+ * Check the regular and CWL wars of every family clan
+ * @returns {Promise<Object>} Run summary
+ */
+const watchWars = () => cacheService.refreshAhead(REFRESH_WINDOW, async () => {
+  const clanTags = await fetchTrinityClansFromSheet()
+  const summary = { clans: clanTags.length, archived: 0, failedClans: 0 }
+
+  for (const clanTag of clanTags) {
+    try {
+      summary.archived += await recordCurrentWar(clanTag, await getCurrentWar(clanTag))
+      summary.archived += await watchCWL(clanTag)
+    } catch (error) {
+      console.warn(`⚠️  War watcher skipped ${clanTag}: ${error.message}`)
+      summary.failedClans++
+    }
+  }
+
+  if (clanTags.length > 0 && summary.failedClans === clanTags.length) {
+    throw new Error('No family clan war could be fetched from CoC API')
+  }
+
+  return summary
+})
+
+/**
+ * Start the war watcher job
+ */
+export const startWarWatcher = () => {
+  const config = getConfig()
+
+  if (!config.enabled || job) {
+    return
+  }
+
+  const interval = config.interval * 1000
+  const jitter = config.jitter * 1000
+
+  job = createScheduledJob({
+    name: 'watch-wars',
+    interval,
+    jitter,
+    run: watchWars
+  })
+
+  job.start(30000 + Math.random() * jitter)
+
+  console.log(`⚔️  War watcher started (every ${config.interval}s)`)
+}
+
+/**
+ * Stop the war watcher job
+ */
+export const stopWarWatcher = () => {
+  if (!job) return
+
+  job.stop()
+  job = null
+}
+
+/**
+ * Get the watcher status for the health endpoint
+ * @returns {Object} { enabled, job }
+ */
+export const getWarWatcherStatus = () => ({
+  enabled: job !== null,
+  job: job ? job.getStatus() : null
+})
@@ -0,0 +1,70 @@
+import { describe, it, before, after, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { promises as fs } from 'fs'
+import os from 'os'
+import path from 'path'
+import { recordActivity, getInactiveMembers } from '../services/activityService.js'
+
+// Stores are loaded on first use, activity goes to a temp directory
+process.env.DATA_DIR = path.join(os.tmpdir(), `trinity-activity-${process.pid}`)
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const START = Date.parse('2026-01-01T00:00:00Z')
+
+const onDay = (day) => mock.timers.setTime(START + day * DAY_MS)
+
+const clan = (members) => ({
+  tag: '#2PP',
+  name: 'Trinity',
+  memberList: Object.entries(members).map(([tag, [donations, trophies]]) => ({
+    tag, name: `Player ${tag}`, role: 'member', townHallLevel: 15, donations, trophies
+  }))
+})
+
+const tagsOf = (report) => report.members.map(member => member.tag)
+
+describe('activityService', () => {
+  before(async () => {
+    mock.timers.enable({ apis: ['Date'], now: START })
+
+    onDay(0)
+    await recordActivity([clan({ '#P1': [10, 5000], '#P2': [0, 5000] })])
+
+    // P1 donated, P2 only lost trophies on defense
+    onDay(3)
+    await recordActivity([clan({ '#P1': [20, 5000], '#P2': [0, 4900] })])
+
+    onDay(9)
+  })
+
+  after(async () => {
+    mock.timers.reset()
+    await fs.rm(process.env.DATA_DIR, { recursive: true, force: true })
+  })
+
+  it('only fetches player profiles when enabled', async () => {
+    assert.deepEqual(await recordActivity([clan({ '#P1': [20, 5000], '#P2': [0, 4900] })]), { members: 2, players: 0, changes: 0 })
+  })
+
+  it('reports members whose signals did not go up for the given days', async () => {
+    const report = await getInactiveMembers('#2PP', { days: 7 })
+
+    assert.deepEqual(tagsOf(report), ['#P2'], 'a trophy drop is not activity')
+    assert.equal(report.members[0].inactiveDays, 9)
+    assert.equal(report.members[0].lastSeenActive, null)
+  })
+
+  it('dates activity from the last change of the selected signals', async () => {
+    assert.deepEqual(tagsOf(await getInactiveMembers('#2PP', { days: 7, signals: ['trophies'] })), ['#P1', '#P2'])
+
+    const { members } = await getInactiveMembers('#2PP', { days: 6, signals: ['donations'] })
+    const active = members.find(member => member.tag === '#P1')
+
+    assert.deepEqual(active.lastSeenActive, { signal: 'donations', at: new Date(START + 3 * DAY_MS).toISOString() })
+    assert.equal(active.inactiveDays, 6)
+  })
+
+  it('returns null for clans never captured', async () => {
+    assert.equal(await getInactiveMembers('#QUV'), null)
+  })
+})
@@ -0,0 +1,83 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { createSessionToken, hashApiKey } from '../services/authService.js'
+import { requireRole, requireVerifiedPlayer } from '../middleware/auth.js'
+
+const KEYS = { viewer: 'viewer-key', leader: 'leader-key', admin: 'admin-key' }
+
+// API_KEYS is parsed on first use, after this runs
+process.env.API_KEYS = Object.entries(KEYS)
+  .map(([role, key]) => `${role}-client:${role}:${hashApiKey(key)}`)
+  .join(',')
+process.env.SESSION_SECRET = 'test-secret'
+
+/**
+ * Run a middleware against a request carrying the given headers
+ * @param {Function} middleware - Express middleware
+ * @param {Object} headers - Request headers (lowercase names)
+ * @returns {Object} { error, req, res }
+ */
+const run = (middleware, headers = {}) => {
+  const req = { get: (name) => headers[name.toLowerCase()] }
+  const res = { headers: {}, set (name, value) { this.headers[name] = value } }
+  let error
+
+  middleware(req, res, (err) => { error = err })
+
+  return { error, req, res }
+}
+
+const bearer = (token) => ({ authorization: `Bearer ${token}` })
+
+describe('requireRole', () => {
+  it('rejects requests without a credential', () => {
+    const { error, res } = run(requireRole('viewer'))
+
+    assert.equal(error.code, 'UNAUTHORIZED')
+    assert.equal(res.headers['WWW-Authenticate'], 'Bearer')
+  })
+
+  it('rejects unknown keys', () => {
+    const { error } = run(requireRole('viewer'), bearer('nope'))
+    assert.equal(error.code, 'UNAUTHORIZED')
+  })
+
+  it('accepts keys from Authorization and X-API-Key', () => {
+    const fromBearer = run(requireRole('viewer'), bearer(KEYS.viewer))
+    const fromHeader = run(requireRole('viewer'), { 'x-api-key': KEYS.viewer })
+
+    assert.equal(fromBearer.error, undefined)
+    assert.deepEqual(fromBearer.req.auth, { type: 'apiKey', name: 'viewer-client', role: 'viewer' })
+    assert.equal(fromHeader.error, undefined)
+  })
+
+  it('enforces the role order', () => {
+    assert.equal(run(requireRole('leader'), bearer(KEYS.viewer)).error.code, 'FORBIDDEN')
+    assert.equal(run(requireRole('leader'), bearer(KEYS.leader)).error, undefined)
+    assert.equal(run(requireRole('leader'), bearer(KEYS.admin)).error, undefined)
+    assert.equal(run(requireRole('admin'), bearer(KEYS.leader)).error.code, 'FORBIDDEN')
+  })
+
+  it('refuses player sessions, even with the leader role', () => {
+    const { token } = createSessionToken({ accounts: [{ tag: '#2PP', name: 'Chief' }], role: 'leader' })
+
+    assert.equal(run(requireRole('viewer'), bearer(token)).error.code, 'UNAUTHORIZED')
+  })
+})
+
+describe('requireVerifiedPlayer', () => {
+  it('accepts player sessions', () => {
+    const { token } = createSessionToken({ accounts: [{ tag: '#2PP', name: 'Chief' }], role: 'viewer' })
+    const { error, req } = run(requireVerifiedPlayer, bearer(token))
+
+    assert.equal(error, undefined)
+    assert.deepEqual(req.auth.playerTags, ['#2PP'])
+  })
+
+  it('refuses API keys and tampered sessions', () => {
+    const { token } = createSessionToken({ accounts: [{ tag: '#2PP', name: 'Chief' }], role: 'viewer' })
+
+    assert.equal(run(requireVerifiedPlayer, bearer(KEYS.admin)).error.code, 'UNAUTHORIZED')
+    assert.equal(run(requireVerifiedPlayer, bearer(`${token}x`)).error.code, 'UNAUTHORIZED')
+  })
+})
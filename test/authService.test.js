@@ -0,0 +1,110 @@
+import { describe, it, before, after, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { promises as fs } from 'fs'
+import os from 'os'
+import path from 'path'
+import {
+  linkVerifiedPlayer,
+  authenticateSessionToken,
+  createSessionToken,
+  readSessionToken
+} from '../services/authService.js'
+
+// Players and their token checks are replayed from fixtures written to a temp directory
+process.env.DATA_SOURCE = 'fixtures'
+process.env.FIXTURES_DIR = path.join(os.tmpdir(), `trinity-auth-${process.pid}`)
+process.env.SESSION_SECRET = 'test-secret'
+
+const SAMPLE_SHEET = new URL('../fixtures/sheets/trinity-clans.csv', import.meta.url)
+
+const writeFixture = async (file, content) => {
+  const filePath = path.join(process.env.FIXTURES_DIR, file)
+  await fs.mkdir(path.dirname(filePath), { recursive: true })
+  await fs.writeFile(filePath, content)
+}
+
+/**
+ * Write a player and the answer to its token verification
+ * @param {string} tag - Player tag without "#"
+ * @param {Object} clan - { tag, role } or null
+ * @param {string} verification - "ok" or "invalid"
+ */
+const writePlayer = async (tag, clan, verification = 'ok') => {
+  const body = {
+    tag: `#${tag}`,
+    name: `Player ${tag}`,
+    townHallLevel: 16,
+    expLevel: 200,
+    trophies: 5000,
+    role: clan?.role,
+    clan: clan && { tag: clan.tag, name: `Clan ${clan.tag}`, clanLevel: 20, badgeUrls: {} },
+    achievements: [],
+    labels: [],
+    troops: [],
+    spells: [],
+    heroes: [],
+    heroEquipment: []
+  }
+
+  await writeFixture(`coc/players/${tag}.json`, JSON.stringify({ status: 200, body }))
+  await writeFixture(`coc/players/${tag}/verifytoken.json`, JSON.stringify({ status: 200, body: { tag: `#${tag}`, status: verification } }))
+}
+
+describe('authService', () => {
+  before(async () => {
+    mock.method(console, 'log', () => {})
+
+    await writeFixture('sheets/trinity-clans.csv', await fs.readFile(SAMPLE_SHEET, 'utf8'))
+    await writePlayer('PQ2', { tag: '#PQL0289', role: 'coLeader' })
+    await writePlayer('PQ8', { tag: '#PQL0289', role: 'member' })
+    await writePlayer('YJ2', { tag: '#2PP', role: 'leader' })
+    await writePlayer('YJ8', null, 'invalid')
+  })
+
+  after(async () => {
+    mock.restoreAll()
+    await fs.rm(process.env.FIXTURES_DIR, { recursive: true, force: true })
+  })
+
+  describe('linkVerifiedPlayer', () => {
+    it('refuses a token that does not belong to the player', async () => {
+      assert.equal(await linkVerifiedPlayer('#YJ8', 'wrong-token'), null)
+    })
+
+    it('gives the leader role to family leaders and co-leaders only', async () => {
+      const coLeader = await linkVerifiedPlayer('#PQ2', 'token')
+      assert.equal(coLeader.role, 'leader')
+      assert.deepEqual(coLeader.accounts.map(account => [account.tag, account.clanRole, account.isFamilyLeader]), [['#PQ2', 'coLeader', true]])
+
+      assert.equal((await linkVerifiedPlayer('#PQ8', 'token')).role, 'viewer')
+      assert.equal((await linkVerifiedPlayer('#YJ2', 'token')).role, 'viewer', 'leads a clan outside the family')
+    })
+
+    it('adds accounts to an existing session and replaces re-verified ones', async () => {
+      const first = authenticateSessionToken((await linkVerifiedPlayer('#PQ8', 'token')).token)
+      const second = authenticateSessionToken((await linkVerifiedPlayer('#PQ2', 'token', first)).token)
+      const again = await linkVerifiedPlayer('#PQ8', 'token', second)
+
+      assert.equal(second.role, 'leader')
+      assert.deepEqual(second.playerTags, ['#PQ8', '#PQ2'])
+      assert.deepEqual(again.accounts.map(account => account.tag), ['#PQ2', '#PQ8'])
+      assert.equal(again.role, 'leader')
+    })
+  })
+
+  describe('session tokens', () => {
+    it('rejects tampered and expired tokens', () => {
+      const { token } = createSessionToken({ accounts: [], role: 'leader' })
+      const [data, signature] = token.split('.')
+      const forged = Buffer.from(JSON.stringify({ ...readSessionToken(token), role: 'admin' })).toString('base64url')
+
+      assert.equal(readSessionToken(token).role, 'leader')
+      assert.equal(readSessionToken(`${forged}.${signature}`), null)
+      assert.equal(readSessionToken(data), null)
+
+      mock.timers.enable({ apis: ['Date'], now: Date.now() + 8 * 24 * 60 * 60 * 1000 })
+      assert.equal(readSessionToken(token), null, 'sessions last 7 days by default')
+      mock.timers.reset()
+    })
+  })
+})
@@ -0,0 +1,41 @@
+import { describe, it, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { promises as fs } from 'fs'
+import os from 'os'
+import path from 'path'
+import { createCacheDriver, createFileDriver } from '../services/cacheDrivers.js'
+
+const tempDirs = []
+
+const tempFile = async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'trinity-cache-'))
+  tempDirs.push(dir)
+  return path.join(dir, 'nested', 'snapshot.json')
+}
+
+describe('cacheDrivers', () => {
+  after(() => Promise.all(tempDirs.map(dir => fs.rm(dir, { recursive: true, force: true }))))
+
+  it('picks the driver from its name, memory by default', () => {
+    assert.equal(createCacheDriver('memory').persistent, false)
+    assert.equal(createCacheDriver('FILE').name, 'file')
+    assert.equal(createCacheDriver('redis').name, 'memory')
+  })
+
+  it('file driver loads nothing before the first snapshot', async () => {
+    assert.deepEqual(await createFileDriver(await tempFile()).load(), [])
+  })
+
+  it('file driver saves and loads entries, creating the directory', async () => {
+    const driver = createFileDriver(await tempFile())
+    const entries = [
+      { key: 'clan:#2PP', value: { value: { name: 'Trinity' } }, expiresAt: 1234 },
+      { key: 'forever', value: { value: 1 }, expiresAt: 0 }
+    ]
+
+    await driver.save(entries)
+
+    assert.deepEqual(await driver.load(), entries)
+    assert.deepEqual(await fs.readdir(path.dirname(driver.filePath)), ['snapshot.json'])
+  })
+})
@@ -0,0 +1,155 @@
+import { describe, it, beforeEach, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { promises as fs } from 'fs'
+import os from 'os'
+import path from 'path'
+import { cacheService } from '../services/cacheService.js'
+
+// The driver is created on first use, snapshots go to a temp file
+process.env.CACHE_DRIVER = 'file'
+process.env.CACHE_FILE = path.join(os.tmpdir(), `trinity-cache-${process.pid}.json`)
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+/**
+ * Fetcher counting its calls, returning the call number
+ * @param {number} delay - Milliseconds before resolving
+ * @returns {Function} Fetcher with a calls property
+ */
+const counter = (delay = 0) => {
+  const fetcher = async () => {
+    fetcher.calls++
+    await sleep(delay)
+    return fetcher.calls
+  }
+  fetcher.calls = 0
+
+  return fetcher
+}
+
+describe('cacheService', () => {
+  beforeEach(() => cacheService.flush())
+  after(() => fs.rm(process.env.CACHE_FILE, { force: true }))
+
+  describe('snapshots', () => {
+    it('restores live entries with their remaining TTL', async () => {
+      cacheService.set('clan:#2PP', { name: 'Trinity' }, 60)
+      cacheService.set('forever', 1, 0)
+
+      assert.equal(await cacheService.snapshot(), 2)
+      cacheService.flush()
+
+      assert.equal(await cacheService.restore(), 2)
+      assert.deepEqual(cacheService.get('clan:#2PP'), { name: 'Trinity' })
+      assert.equal(cacheService.get('forever'), 1)
+    })
+
+    it('skips entries that expired in the meantime', async () => {
+      cacheService.set('short', 1, 0.5, { staleTtl: 0 })
+      await cacheService.snapshot()
+      cacheService.flush()
+      await sleep(600)
+
+      assert.equal(await cacheService.restore(), 0)
+      assert.equal(cacheService.has('short'), false)
+    })
+  })
+
+  describe('wrap (stale-while-revalidate)', () => {
+    it('fetches on a miss and serves fresh hits from cache', async () => {
+      const fetcher = counter()
+
+      assert.equal(await cacheService.wrap('k', fetcher, 60), 1)
+      assert.equal(await cacheService.wrap('k', fetcher, 60), 1)
+      assert.equal(fetcher.calls, 1)
+    })
+
+    it('serves a stale entry right away and refreshes it once in the background', async () => {
+      const fetcher = counter(20)
+      await cacheService.wrap('swr', fetcher, 0.05, { staleTtl: 60 })
+      await sleep(100)
+
+      // Freshness comes from the stored entry, the refresh is stored for 60s
+      const tracker = {}
+      const values = await cacheService.trackStatus(tracker, () => Promise.all([
+        cacheService.wrap('swr', fetcher, 60),
+        cacheService.wrap('swr', fetcher, 60)
+      ]))
+
+      assert.deepEqual(values, [1, 1])
+      assert.equal(tracker.status, 'stale')
+      assert.equal(cacheService.get('swr'), undefined, 'get() only returns fresh values')
+
+      await sleep(150)
+      assert.equal(fetcher.calls, 2)
+      assert.equal(cacheService.get('swr'), 2)
+    })
+
+    it('shares one fetch between concurrent misses', async () => {
+      const fetcher = counter(20)
+      const values = await Promise.all([1, 2, 3].map(() => cacheService.wrap('coalesced', fetcher, 60)))
+
+      assert.deepEqual(values, [1, 1, 1])
+      assert.equal(fetcher.calls, 1)
+    })
+
+    it('does not cache failed fetches', async () => {
+      await assert.rejects(cacheService.wrap('failing', async () => { throw new Error('down') }, 60), /down/)
+      assert.equal(await cacheService.wrap('failing', async () => 'up', 60), 'up')
+    })
+  })
+
+  describe('dependencies', () => {
+    it('invalidates dependents recursively', () => {
+      cacheService.set('clan:#2PP', {}, 60)
+      cacheService.set('stats:#2PP', {}, 60, { dependsOn: ['clan:#2PP'] })
+      cacheService.set('stats:family', {}, 60, { dependsOn: ['stats:#2PP'] })
+      cacheService.set('clan:#8QU8J9LP', {}, 60)
+
+      assert.deepEqual(cacheService.invalidate('clan:#2PP'), ['clan:#2PP', 'stats:#2PP', 'stats:family'])
+      assert.ok(cacheService.get('clan:#8QU8J9LP'))
+    })
+
+    it('cascades from keys matching a pattern', () => {
+      cacheService.set('clan:#2PP', {}, 60)
+      cacheService.set('stats:#2PP', {}, 60, { dependsOn: () => ['clan:#2PP'] })
+
+      assert.equal(cacheService.delPattern('clan:*'), 2)
+      assert.equal(cacheService.get('stats:#2PP'), undefined)
+    })
+
+    it('still cascades after a parent was refreshed', () => {
+      cacheService.set('clan:#2PP', {}, 60)
+      cacheService.set('stats:#2PP', {}, 60, { dependsOn: ['clan:#2PP'] })
+      cacheService.set('clan:#2PP', {}, 60)
+
+      assert.deepEqual(cacheService.invalidate('clan:#2PP'), ['clan:#2PP', 'stats:#2PP'])
+    })
+  })
+
+  describe('background refresh', () => {
+    it('refreshAhead refetches entries going stale within the window', async () => {
+      const fetcher = counter()
+      await cacheService.wrap('k', fetcher, 60)
+
+      await cacheService.refreshAhead(1000, () => cacheService.wrap('k', fetcher, 60))
+      assert.equal(fetcher.calls, 1)
+
+      await cacheService.refreshAhead(120 * 1000, () => cacheService.wrap('k', fetcher, 60))
+      assert.equal(fetcher.calls, 2)
+    })
+
+    it('refreshOlderThan refetches entries stored before the given age', async () => {
+      const fetcher = counter()
+      await cacheService.wrap('k', fetcher, 600)
+      await sleep(30)
+
+      await cacheService.refreshOlderThan(1000, () => cacheService.wrap('k', fetcher, 600))
+      assert.equal(fetcher.calls, 1)
+
+      await cacheService.refreshOlderThan(10, () => cacheService.wrap('k', fetcher, 600))
+      assert.equal(fetcher.calls, 2)
+      assert.equal(await cacheService.wrap('k', fetcher, 600), 2, 'plain reads keep the refreshed entry')
+    })
+  })
+})
@@ -0,0 +1,125 @@
+import { describe, it, before, after, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { EventEmitter } from 'events'
+import { promises as fs } from 'fs'
+import os from 'os'
+import path from 'path'
+import { startClanFeed, stopClanFeed, getClanFeedStatus } from '../services/clanFeedService.js'
+
+// The clan and its war are replayed from a temp copy of the sample fixtures, polled every second
+process.env.DATA_SOURCE = 'fixtures'
+process.env.FIXTURES_DIR = path.join(os.tmpdir(), `trinity-clan-feed-${process.pid}`)
+process.env.CLAN_FEED_INTERVAL = '1'
+
+const SAMPLES = new URL('../fixtures/coc/clans/', import.meta.url)
+const ROOM = 'clan:#PQL0289'
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+/**
+ * Wait until the feed job has completed a number of runs
+ * @param {number} runs - Runs to wait for
+ */
+const waitForRuns = async (runs) => {
+  for (let waited = 0; getClanFeedStatus().job.runs < runs; waited += 20) {
+    if (waited > 5000) throw new Error(`clan feed did not run ${runs} times`)
+    await sleep(20)
+  }
+}
+
+/**
+ * Copy a sample fixture to the temp directory, changing its body
+ * @param {string} file - Fixture path under coc/clans/
+ * @param {Function} change - Receives the body to change (optional)
+ */
+const writeFixture = async (file, change = () => {}) => {
+  const fixture = JSON.parse(await fs.readFile(new URL(file, SAMPLES), 'utf8'))
+  const target = path.join(process.env.FIXTURES_DIR, 'coc', 'clans', file)
+
+  change(fixture.body)
+  await fs.mkdir(path.dirname(target), { recursive: true })
+  await fs.writeFile(target, JSON.stringify(fixture))
+}
+
+/**
+ * Socket.IO server double: one adapter, emits are recorded
+ * @returns {Object} { io, adapter, emitted }
+ */
+const createServer = () => {
+  const adapter = Object.assign(new EventEmitter(), { rooms: new Map() })
+  const emitted = []
+  const io = {
+    of: () => ({ adapter }),
+    to: (room) => ({ emit: (event, payload) => emitted.push({ room, event, payload }) })
+  }
+
+  return { io, adapter, emitted }
+}
+
+describe('clanFeedService', () => {
+  const server = createServer()
+
+  before(async () => {
+    mock.method(console, 'log', () => {})
+    mock.method(console, 'warn', () => {})
+
+    await writeFixture('PQL0289.json')
+    await writeFixture('PQL0289/currentwar.json')
+  })
+
+  after(async () => {
+    stopClanFeed()
+    mock.restoreAll()
+    await fs.rm(process.env.FIXTURES_DIR, { recursive: true, force: true })
+  })
+
+  it('takes a baseline as soon as a clan room is created', async () => {
+    startClanFeed(server.io)
+    server.adapter.rooms.set(ROOM, new Set(['socket-1']))
+    server.adapter.emit('create-room', ROOM)
+
+    await waitForRuns(1)
+
+    assert.deepEqual(getClanFeedStatus().job.lastResult, { rooms: 1, events: 0 })
+    assert.deepEqual(server.emitted, [])
+  })
+
+  it('emits roster, settings and war changes on the next poll', async () => {
+    await writeFixture('PQL0289.json', (clan) => {
+      clan.description = 'New description'
+      clan.memberList = clan.memberList.filter(member => member.tag !== '#Y9C2UGRL')
+      clan.memberList.find(member => member.tag === '#L8PQ0C2J').role = 'coLeader'
+    })
+    await writeFixture('PQL0289/currentwar.json', (war) => {
+      war.clan.members.find(member => member.tag === '#L8PQ0C2J').attacks = [
+        { attackerTag: '#L8PQ0C2J', defenderTag: '#CJ0Y8L2V', stars: 3, destructionPercentage: 100, order: 5, duration: 90 }
+      ]
+    })
+
+    await waitForRuns(2)
+
+    const events = Object.fromEntries(server.emitted.map(({ room, event, payload }) => {
+      assert.equal(room, ROOM)
+      assert.equal(payload.clanTag, '#PQL0289')
+      return [event, payload]
+    }))
+
+    assert.deepEqual(Object.keys(events).sort(), [
+      'clan:member_left',
+      'clan:role_changed',
+      'clan:settings_changed',
+      'clan:war_attack'
+    ])
+    assert.equal(events['clan:member_left'].playerTag, '#Y9C2UGRL')
+    assert.deepEqual([events['clan:role_changed'].to, events['clan:role_changed'].direction], ['coLeader', 'promotion'])
+    assert.deepEqual(Object.keys(events['clan:settings_changed'].changes), ['description'])
+    assert.deepEqual([events['clan:war_attack'].order, events['clan:war_attack'].stars], [5, 3])
+  })
+
+  it('stops polling once the last clan room is gone', () => {
+    server.adapter.rooms.delete(ROOM)
+    server.adapter.emit('delete-room', ROOM)
+
+    assert.equal(getClanFeedStatus().job.enabled, false)
+  })
+})
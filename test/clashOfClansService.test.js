@@ -0,0 +1,240 @@
+import { describe, it, before, after, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { promises as fs } from 'fs'
+import os from 'os'
+import path from 'path'
+import {
+  getClanDetails,
+  getCurrentWar,
+  getCoCClientStatus,
+  getCWLGroup,
+  getCWLRoundWar,
+  getMultipleClans,
+  getMultiplePlayers,
+  getPlayerDetails,
+  initializeCoCClient
+} from '../services/clashOfClansService.js'
+import {
+  NotFoundError,
+  PrivateWarLogError,
+  UpstreamError,
+  ValidationError
+} from '../utils/errors.js'
+
+// CoC API responses are replayed from fixtures written to a temp directory
+process.env.DATA_SOURCE = 'fixtures'
+process.env.FIXTURES_DIR = path.join(os.tmpdir(), `trinity-coc-${process.pid}`)
+
+const SAMPLE_CLAN = new URL('../fixtures/coc/clans/PQL0289.json', import.meta.url)
+const SAMPLE_WAR = new URL('../fixtures/coc/clans/PQL0289/currentwar.json', import.meta.url)
+
+/**
+ * Write the fixture of a CoC API path
+ * @param {string} apiPath - Fixture path under coc/ (e.g. "clans/2PP/currentwar")
+ * @param {number} status - HTTP status replayed
+ * @param {Object} body - Response body
+ */
+const writeFixture = async (apiPath, status, body) => {
+  const file = path.join(process.env.FIXTURES_DIR, 'coc', `${apiPath}.json`)
+  await fs.mkdir(path.dirname(file), { recursive: true })
+  await fs.writeFile(file, JSON.stringify({ status, body }))
+}
+
+describe('clashOfClansService', () => {
+  before(() => {
+    mock.method(console, 'error', () => {})
+    mock.method(console, 'warn', () => {})
+  })
+
+  after(async () => {
+    mock.restoreAll()
+    await fs.rm(process.env.FIXTURES_DIR, { recursive: true, force: true })
+  })
+
+  describe('upstream errors', () => {
+    it('rejects invalid tags before calling the API', async () => {
+      await assert.rejects(getClanDetails('#ABC'), ValidationError)
+    })
+
+    it('maps a 404 to NotFoundError', async () => {
+      await assert.rejects(getClanDetails('#2PP'), (error) => {
+        assert.ok(error instanceof NotFoundError)
+        assert.equal(error.status, 404)
+        return true
+      })
+    })
+
+    it('maps a private war log to PrivateWarLogError', async () => {
+      await writeFixture('clans/2PP/currentwar', 403, { reason: 'privateWarLog', message: 'Access denied' })
+
+      await assert.rejects(getCurrentWar('#2PP'), (error) => {
+        assert.ok(error instanceof PrivateWarLogError)
+        assert.equal(error.status, 403)
+        return true
+      })
+    })
+
+    it('maps a 400 to ValidationError', async () => {
+      await writeFixture('clans/QUV/currentwar', 400, { reason: 'badRequest', message: 'Invalid clan tag' })
+
+      await assert.rejects(getCurrentWar('#QUV'), ValidationError)
+    })
+
+    it('maps other failures to a 502 UpstreamError', async () => {
+      await writeFixture('clans/YRG/currentwar', 500, { reason: 'unknownException', message: 'Boom' })
+
+      await assert.rejects(getCurrentWar('#YRG'), (error) => {
+        assert.ok(error instanceof UpstreamError)
+        assert.equal(error.status, 502)
+        assert.equal(error.code, 'UPSTREAM_ERROR')
+        return true
+      })
+    })
+  })
+
+  describe('session recovery', () => {
+    it('logs in again once when our credentials are rejected, then gives up', async () => {
+      await writeFixture('clans/2PP', 403, { reason: 'accessDenied.invalidIp', message: 'Invalid authorization' })
+      const before = getCoCClientStatus()
+
+      await assert.rejects(getClanDetails('#2PP'), (error) => {
+        assert.equal(error.code, 'UPSTREAM_AUTH_FAILED')
+        return true
+      })
+
+      const status = getCoCClientStatus()
+      assert.equal(status.relogins, before.relogins + 1)
+      assert.equal(status.logins, before.logins + 1)
+      assert.notEqual(status.lastAuthFailureAt, null)
+    })
+
+    it('shares one new login between calls failing at the same time', async () => {
+      await writeFixture('clans/QUV', 403, { reason: 'accessDenied', message: 'Invalid authorization' })
+      await writeFixture('clans/YRG', 403, { reason: 'accessDenied', message: 'Invalid authorization' })
+      const before = getCoCClientStatus()
+
+      const results = await Promise.allSettled([getClanDetails('#QUV'), getClanDetails('#YRG')])
+
+      assert.deepEqual(results.map(result => result.reason.code), ['UPSTREAM_AUTH_FAILED', 'UPSTREAM_AUTH_FAILED'])
+      assert.equal(getCoCClientStatus().relogins, before.relogins + 1)
+      assert.equal(getCoCClientStatus().logins, before.logins + 1)
+    })
+  })
+
+  describe('request coalescing', () => {
+    it('sends one API call for concurrent reads of the same resource', async () => {
+      await writeFixture('clans/PQL0289', 200, JSON.parse(await fs.readFile(SAMPLE_CLAN, 'utf8')).body)
+
+      const { requestHandler } = (await initializeCoCClient()).rest
+      const request = mock.method(requestHandler, 'request')
+
+      const [clans, clan] = await Promise.all([
+        getMultipleClans(['#PQL0289', 'pqlo289', '%23PQL0289', '#ABC']),
+        getClanDetails('#PQL0289')
+      ])
+
+      assert.equal(request.mock.callCount(), 1)
+      assert.deepEqual(clans.map(entry => entry.tag), ['#PQL0289'], 'duplicate and invalid tags are dropped')
+      assert.equal(clan.name, 'Trinity Sample')
+    })
+  })
+
+  describe('players', () => {
+    before(() => writeFixture('players/PQ2', 200, {
+      tag: '#PQ2',
+      name: 'Alice',
+      townHallLevel: 16,
+      expLevel: 220,
+      trophies: 5100,
+      bestTrophies: 5600,
+      warStars: 1500,
+      attackWins: 80,
+      defenseWins: 3,
+      donations: 1200,
+      donationsReceived: 300,
+      clanCapitalContributions: 40000,
+      role: 'admin',
+      warPreference: 'in',
+      clan: { tag: '#PQL0289', name: 'Trinity Sample', clanLevel: 20, badgeUrls: { small: 's', medium: 'm', large: 'l' } },
+      leagueTier: { id: 105000034, name: 'Legend League', iconUrls: { small: 'ls', medium: 'lm' } },
+      achievements: [{ name: 'Games Champion', stars: 3, value: 150000, target: 100000, info: 'Earn points', village: 'home' }],
+      labels: [],
+      troops: [{ name: 'Barbarian', level: 12, maxLevel: 12, village: 'home' }],
+      spells: [],
+      heroes: [{
+        name: 'Barbarian King',
+        level: 95,
+        maxLevel: 100,
+        village: 'home',
+        equipment: [{ name: 'Giant Gauntlet', level: 27, maxLevel: 27, village: 'home' }]
+      }],
+      heroEquipment: [{ name: 'Giant Gauntlet', level: 27, maxLevel: 27, village: 'home' }]
+    }))
+
+    it('formats the profile with clan, league, units and achievements', async () => {
+      const player = await getPlayerDetails('pq2')
+
+      assert.deepEqual(
+        [player.tag, player.role, player.warOptedIn, player.donationsReceived, player.clanCapitalContributions],
+        ['#PQ2', 'elder', true, 300, 40000]
+      )
+      assert.deepEqual(player.clan, {
+        tag: '#PQL0289',
+        name: 'Trinity Sample',
+        clanLevel: 20,
+        badgeUrls: { small: 's', medium: 'm', large: 'l' }
+      })
+      assert.deepEqual(player.league, { id: 105000034, name: 'Legend League', iconUrls: { small: 'ls', medium: 'lm' } })
+      assert.deepEqual(player.heroes[0].equipment, [{ name: 'Giant Gauntlet', level: 27, maxLevel: 27, village: 'home' }])
+      assert.equal(player.achievements[0].value, 150000)
+    })
+
+    it('fetches several players, leaving out the ones that fail', async () => {
+      const players = await getMultiplePlayers(['#PQ2', '#PQ2', '#YJ8'])
+
+      assert.deepEqual(players.map(player => player.tag), ['#PQ2'])
+    })
+  })
+
+  describe('CWL', () => {
+    before(async () => {
+      const sample = JSON.parse(await fs.readFile(SAMPLE_WAR, 'utf8')).body
+      const side = (tag, name) => ({ ...sample.opponent, tag, name, members: [] })
+      const cwlWar = (warTag, clan, opponent) => ({ ...sample, attacksPerMember: 1, warTag, clan, opponent })
+
+      await writeFixture('clans/PQL0289/currentwar/leaguegroup', 200, {
+        state: 'inWar',
+        season: '2026-10',
+        clans: [{
+          tag: '#PQL0289',
+          name: 'Trinity Sample',
+          clanLevel: 20,
+          badgeUrls: sample.clan.badgeUrls,
+          members: [{ tag: '#PQ2', name: 'Alice', townHallLevel: 16 }]
+        }],
+        rounds: [{ warTags: ['#8QJ2', '#8QJ9'] }, { warTags: ['#0', '#0'] }]
+      })
+      await writeFixture('clanwarleagues/wars/8QJ2', 200, cwlWar('#8QJ2', side('#YRG', 'Others'), side('#2PP', 'Trinity Two')))
+      await writeFixture('clanwarleagues/wars/8QJ9', 200, cwlWar('#8QJ9', side('#QUV', 'Rivals'), side('#PQL0289', 'Trinity Sample')))
+    })
+
+    it('numbers the rounds and drops the war tags not drawn yet', async () => {
+      const group = await getCWLGroup('#PQL0289')
+
+      assert.equal(group.season, '2026-10')
+      assert.deepEqual(group.rounds, [{ round: 1, warTags: ['#8QJ2', '#8QJ9'] }, { round: 2, warTags: [] }])
+      assert.deepEqual(group.clans[0].members, [{ tag: '#PQ2', name: 'Alice', townHallLevel: 16 }])
+    })
+
+    it('reports clans outside of CWL as not found', async () => {
+      await assert.rejects(getCWLGroup('#QUV'), /not in Clan War League this season/)
+    })
+
+    it('finds the clan\'s war of a round, with the clan as "clan"', async () => {
+      const war = await getCWLRoundWar('#PQL0289', 1)
+
+      assert.deepEqual([war.round, war.warTag, war.clan.tag, war.opponent.tag], [1, '#8QJ9', '#PQL0289', '#QUV'])
+      assert.equal(await getCWLRoundWar('#PQL0289', 2), null)
+    })
+  })
+})
@@ -0,0 +1,113 @@
+import { describe, it, before, after, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { promises as fs } from 'fs'
+import os from 'os'
+import path from 'path'
+import { HTTPError } from 'clashofclans.js'
+import {
+  getDataSource,
+  attachCoCDataSource,
+  readSheetFixture,
+  writeSheetFixture
+} from '../services/dataSource.js'
+import { UpstreamError } from '../utils/errors.js'
+
+process.env.FIXTURES_DIR = path.join(os.tmpdir(), `trinity-fixtures-${process.pid}`)
+
+const fixturePath = (...parts) => path.join(process.env.FIXTURES_DIR, ...parts)
+
+const writeJSON = async (file, content) => {
+  await fs.mkdir(path.dirname(file), { recursive: true })
+  await fs.writeFile(file, JSON.stringify(content))
+}
+
+/**
+ * Minimal clashofclans.js client: only the request handler is replaced
+ * @param {Function} request - Live request handler
+ * @returns {Object} Client
+ */
+const fakeClient = (request = async () => { throw new Error('no network in tests') }) => ({
+  rest: { requestHandler: { request } }
+})
+
+describe('dataSource', () => {
+  before(async () => {
+    await writeJSON(fixturePath('coc', 'clans', '2PP', 'currentwar.json'), { status: 200, body: { state: 'inWar' } })
+    await writeJSON(fixturePath('coc', 'clans__name=trinity_limit=5.json'), { body: { items: [] } })
+    await writeJSON(fixturePath('coc', 'clans', 'QUV', 'currentwar.json'), { status: 403, body: { reason: 'privateWarLog', message: 'Access denied' } })
+  })
+
+  afterEach(() => {
+    delete process.env.DATA_SOURCE
+  })
+
+  after(() => fs.rm(process.env.FIXTURES_DIR, { recursive: true, force: true }))
+
+  it('defaults to live and rejects unknown sources', () => {
+    assert.equal(getDataSource(), 'live')
+
+    process.env.DATA_SOURCE = 'Fixtures'
+    assert.equal(getDataSource(), 'fixtures')
+
+    process.env.DATA_SOURCE = 'replay'
+    assert.throws(() => getDataSource(), /DATA_SOURCE must be one of/)
+  })
+
+  describe('fixtures', () => {
+    it('answers CoC requests from the file of their path and query', async () => {
+      process.env.DATA_SOURCE = 'fixtures'
+      const { rest } = attachCoCDataSource(fakeClient())
+
+      assert.deepEqual((await rest.requestHandler.request('/clans/%232PP/currentwar')).body, { state: 'inWar' })
+      assert.deepEqual((await rest.requestHandler.request('/clans?name=trinity&limit=5')).body, { items: [] })
+    })
+
+    it('replays error statuses and treats missing files as a 404', async () => {
+      process.env.DATA_SOURCE = 'fixtures'
+      const { rest } = attachCoCDataSource(fakeClient())
+
+      await assert.rejects(rest.requestHandler.request('/clans/%23QUV/currentwar'), (error) => {
+        assert.ok(error instanceof HTTPError)
+        assert.equal(error.status, 403)
+        assert.equal(error.reason, 'privateWarLog')
+        return true
+      })
+
+      await assert.rejects(rest.requestHandler.request('/clans/%23YRG'), (error) => {
+        assert.equal(error.status, 404)
+        assert.equal(error.reason, 'notFound')
+        return true
+      })
+    })
+
+    it('reads sheet CSVs and fails like the sheet when one is missing', async () => {
+      await writeSheetFixture('trinity-clans', 'tag\n#2PP\n')
+
+      assert.equal(await readSheetFixture('trinity-clans'), 'tag\n#2PP\n')
+      await assert.rejects(readSheetFixture('cwl-clans'), UpstreamError)
+    })
+  })
+
+  describe('record', () => {
+    it('saves GET responses and not found errors, never other methods', async () => {
+      process.env.DATA_SOURCE = 'record'
+      const { rest } = attachCoCDataSource(fakeClient(async (apiPath, options) => {
+        if (apiPath === '/players/%23YRG') {
+          throw new HTTPError({ reason: 'notFound', message: 'Not found' }, 404, apiPath, 0, 'GET')
+        }
+        return { body: { path: apiPath, method: options.method ?? 'GET' }, res: { status: 200 } }
+      }))
+
+      await rest.requestHandler.request('/players/%232PP')
+      await assert.rejects(rest.requestHandler.request('/players/%23YRG'), HTTPError)
+      await rest.requestHandler.request('/players/%23QUV/verifytoken', { method: 'POST', body: '{"token":"secret"}' })
+
+      const saved = JSON.parse(await fs.readFile(fixturePath('coc', 'players', '2PP.json'), 'utf8'))
+      const missing = JSON.parse(await fs.readFile(fixturePath('coc', 'players', 'YRG.json'), 'utf8'))
+
+      assert.deepEqual(saved, { status: 200, body: { path: '/players/%232PP', method: 'GET' } })
+      assert.equal(missing.status, 404)
+      await assert.rejects(fs.access(fixturePath('coc', 'players', 'QUV', 'verifytoken.json')))
+    })
+  })
+})
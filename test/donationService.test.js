@@ -0,0 +1,78 @@
+import { describe, it, before, after, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { promises as fs } from 'fs'
+import os from 'os'
+import path from 'path'
+import { recordDonations, getDonationLeaderboard } from '../services/donationService.js'
+
+// Stores are loaded on first use, donations go to a temp directory
+process.env.DATA_DIR = path.join(os.tmpdir(), `trinity-donations-${process.pid}`)
+
+// Season 2026-01 ends on Monday 2026-01-26 at 05:00 UTC
+const at = (iso) => mock.timers.setTime(Date.parse(iso))
+
+const clan = (tag, members) => ({
+  tag,
+  name: `Clan ${tag}`,
+  memberList: Object.entries(members).map(([memberTag, [donations, donationsReceived]]) => ({
+    tag: memberTag,
+    name: `Player ${memberTag}`,
+    donations,
+    donationsReceived
+  }))
+})
+
+const donationsOf = (leaderboard) => Object.fromEntries(leaderboard.members.map(member => [member.tag, member.donations]))
+
+describe('donationService', () => {
+  before(() => {
+    // Reset logs are noise here (and emoji output can trip the runner's parser)
+    mock.method(console, 'log', () => {})
+    mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-01-20T00:00:00Z') })
+  })
+
+  after(async () => {
+    mock.timers.reset()
+    mock.restoreAll()
+    await fs.rm(process.env.DATA_DIR, { recursive: true, force: true })
+  })
+
+  it('carries counters over when a member left and came back mid-season', async () => {
+    at('2026-01-20T00:00:00Z')
+    await recordDonations([clan('#2PP', { '#P1': [100, 50], '#P2': [20, 0] })])
+
+    at('2026-01-22T00:00:00Z')
+    await recordDonations([clan('#2PP', { '#P1': [150, 60], '#P2': [5, 0] })])
+
+    const leaderboard = await getDonationLeaderboard('#2PP', { season: '2026-01', sort: 'donations' })
+    assert.deepEqual(donationsOf(leaderboard), { '#P1': 150, '#P2': 25 })
+    assert.equal(leaderboard.members[0].ratio, 2.5)
+  })
+
+  it('waits for the counters to drop before switching to the new season', async () => {
+    at('2026-01-26T10:00:00Z')
+    assert.equal((await recordDonations([clan('#2PP', { '#P1': [160, 60] })])).resets, 0)
+
+    at('2026-01-26T20:00:00Z')
+    assert.equal((await recordDonations([clan('#2PP', { '#P1': [10, 0] })])).resets, 1)
+
+    const january = await getDonationLeaderboard('#2PP', { season: '2026-01' })
+    const february = await getDonationLeaderboard('#2PP', { season: '2026-02' })
+
+    assert.deepEqual(donationsOf(january), { '#P1': 160, '#P2': 25 })
+    assert.equal(january.members.find(member => member.tag === '#P2').inClan, false)
+    assert.deepEqual(donationsOf(february), { '#P1': 10 })
+    assert.deepEqual(february.availableSeasons, ['2026-02', '2026-01'])
+  })
+
+  it('switches season a day after the end even if the counters never dropped', async () => {
+    at('2026-01-25T00:00:00Z')
+    await recordDonations([clan('#QUV', { '#P3': [100, 0] })])
+
+    at('2026-01-27T06:00:00Z')
+    assert.equal((await recordDonations([clan('#QUV', { '#P3': [200, 0] })])).resets, 1)
+
+    assert.deepEqual(donationsOf(await getDonationLeaderboard('#QUV', { season: '2026-02' })), { '#P3': 200 })
+    assert.equal(await getDonationLeaderboard('#QUV', { season: '2025-12' }), null)
+  })
+})
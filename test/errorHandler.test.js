@@ -0,0 +1,73 @@
+import { describe, it, before, after, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import express from 'express'
+import { asyncHandler, errorHandler } from '../middleware/errorHandler.js'
+import { NotFoundError, RateLimitedError, ValidationError } from '../utils/errors.js'
+
+describe('errorHandler', () => {
+  let server
+  let baseUrl
+
+  before(async () => {
+    mock.method(console, 'warn', () => {})
+    mock.method(console, 'error', () => {})
+
+    const app = express()
+    app.use(express.json())
+    app.get('/not-found', asyncHandler(async () => { throw new NotFoundError('Clan not found') }))
+    app.get('/invalid', () => { throw new ValidationError('Bad tags', { invalidTags: ['#ABC'] }) })
+    app.get('/throttled', asyncHandler(async () => { throw new RateLimitedError(undefined, 7) }))
+    app.get('/crash', asyncHandler(async () => { throw new TypeError('oops') }))
+    app.post('/body', (req, res) => res.json(req.body))
+    app.use(errorHandler)
+
+    server = app.listen(0)
+    await new Promise(resolve => server.once('listening', resolve))
+    baseUrl = `http://127.0.0.1:${server.address().port}`
+  })
+
+  after(() => {
+    mock.restoreAll()
+    return new Promise(resolve => server.close(resolve))
+  })
+
+  it('responds with the status, code and message of typed errors', async () => {
+    const res = await fetch(`${baseUrl}/not-found`)
+
+    assert.equal(res.status, 404)
+    assert.deepEqual(await res.json(), { error: 'Not Found', code: 'NOT_FOUND', message: 'Clan not found' })
+  })
+
+  it('adds error details to the body', async () => {
+    const res = await fetch(`${baseUrl}/invalid`)
+
+    assert.equal(res.status, 400)
+    assert.deepEqual((await res.json()).invalidTags, ['#ABC'])
+  })
+
+  it('sets Retry-After on rate limited errors', async () => {
+    const res = await fetch(`${baseUrl}/throttled`)
+
+    assert.equal(res.status, 429)
+    assert.equal(res.headers.get('retry-after'), '7')
+    assert.equal((await res.json()).retryAfter, 7)
+  })
+
+  it('turns unexpected errors into a 500', async () => {
+    const res = await fetch(`${baseUrl}/crash`)
+
+    assert.equal(res.status, 500)
+    assert.equal((await res.json()).code, 'INTERNAL_ERROR')
+  })
+
+  it('answers malformed JSON bodies with a 400', async () => {
+    const res = await fetch(`${baseUrl}/body`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: '{"tag":'
+    })
+
+    assert.equal(res.status, 400)
+    assert.equal((await res.json()).code, 'VALIDATION_ERROR')
+  })
+})
@@ -0,0 +1,82 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import express from 'express'
+import { metricsMiddleware, recordCacheLookup, trackCoCRequest, getMetrics } from '../services/metricsService.js'
+import { asyncHandler, errorHandler } from '../middleware/errorHandler.js'
+import { requireRole } from '../middleware/auth.js'
+import { ValidationError } from '../utils/errors.js'
+
+/**
+ * Read a counter value from the Prometheus text output
+ * @param {string} metrics - Metrics text
+ * @param {string} name - Metric name
+ * @param {string} labels - Labels as rendered, e.g. method="GET",route="/x",status="200"
+ * @returns {number} Value (0 if absent)
+ */
+const readCounter = (metrics, name, labels) => {
+  const line = metrics.split('\n').find(line => line.startsWith(`${name}{${labels}}`))
+  return line ? Number(line.split(' ').pop()) : 0
+}
+
+describe('metricsService', () => {
+  let server
+  let baseUrl
+
+  before(async () => {
+    const app = express()
+    const router = express.Router()
+
+    router.get('/:clanTag', asyncHandler(async (req, res) => {
+      if (req.params.clanTag === 'bad') throw new ValidationError('bad tag')
+      res.json({ ok: true })
+    }))
+    router.get('/admin/keys', requireRole('admin'), (req, res) => res.json({}))
+
+    app.use(metricsMiddleware)
+    app.use('/api/clans', router)
+    app.use(errorHandler)
+
+    server = app.listen(0)
+    await new Promise(resolve => server.once('listening', resolve))
+    baseUrl = `http://127.0.0.1:${server.address().port}`
+  })
+
+  after(() => new Promise(resolve => server.close(resolve)))
+
+  it('labels requests with the mounted route pattern, errors included', async () => {
+    for (const path of ['/api/clans/2PP', '/api/clans/bad', '/api/clans/admin/keys', '/nope']) {
+      await fetch(`${baseUrl}${path}`)
+    }
+
+    const metrics = await getMetrics()
+    const count = (labels) => readCounter(metrics, 'trinity_http_requests_total', labels)
+
+    assert.equal(count('method="GET",route="/api/clans/:clanTag",status="200"'), 1)
+    assert.equal(count('method="GET",route="/api/clans/:clanTag",status="400"'), 1)
+    assert.equal(count('method="GET",route="/api/clans/admin/keys",status="401"'), 1)
+    assert.equal(count('method="GET",route="unmatched",status="404"'), 1)
+  })
+
+  it('counts cache lookups per key prefix', async () => {
+    recordCacheLookup('clan:#2PP', 'hit')
+    recordCacheLookup('clan:#8QU8J9LP', 'hit')
+    recordCacheLookup('war:#2PP', 'stale')
+
+    const metrics = await getMetrics()
+
+    assert.equal(readCounter(metrics, 'trinity_cache_lookups_total', 'prefix="clan",result="hit"'), 2)
+    assert.equal(readCounter(metrics, 'trinity_cache_lookups_total', 'prefix="war",result="stale"'), 1)
+  })
+
+  it('counts CoC API calls and errors by reason', async () => {
+    await trackCoCRequest('getClan', async () => ({}))
+    await assert.rejects(trackCoCRequest('getClan', async () => {
+      throw Object.assign(new Error('throttled'), { reason: 'requestThrottled' })
+    }))
+
+    const metrics = await getMetrics()
+
+    assert.equal(readCounter(metrics, 'trinity_coc_requests_total', 'operation="getClan",outcome="success"'), 1)
+    assert.equal(readCounter(metrics, 'trinity_coc_errors_total', 'operation="getClan",reason="requestThrottled"'), 1)
+  })
+})
@@ -0,0 +1,127 @@
+import { describe, it, before, after, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { promises as fs } from 'fs'
+import os from 'os'
+import path from 'path'
+import { getMissedAttacks } from '../services/missedAttacksService.js'
+
+// CoC API responses are replayed from fixtures written to a temp directory
+process.env.DATA_SOURCE = 'fixtures'
+process.env.FIXTURES_DIR = path.join(os.tmpdir(), `trinity-missed-${process.pid}`)
+
+const SAMPLE_WAR = new URL('../fixtures/coc/clans/PQL0289/currentwar.json', import.meta.url)
+
+const writeFixture = async (apiPath, status, body) => {
+  const file = path.join(process.env.FIXTURES_DIR, 'coc', `${apiPath}.json`)
+  await fs.mkdir(path.dirname(file), { recursive: true })
+  await fs.writeFile(file, JSON.stringify({ status, body }))
+}
+
+const member = (tag, mapPosition, attackCount) => ({
+  tag,
+  name: `Player ${tag}`,
+  townhallLevel: 15,
+  mapPosition,
+  opponentAttacks: 0,
+  attacks: Array.from({ length: attackCount }, (_, index) => ({
+    attackerTag: tag, defenderTag: '#YJ2', stars: 1, destructionPercentage: 50, order: mapPosition * 10 + index, duration: 100
+  }))
+})
+
+const summarize = (report) => report && {
+  type: report.type,
+  round: report.round,
+  state: report.state,
+  attacksLeft: report.attacksLeft,
+  members: report.members.map(entry => [entry.tag, entry.attacksUsed, entry.attacksLeft])
+}
+
+describe('missedAttacksService', () => {
+  before(async () => {
+    mock.method(console, 'error', () => {})
+
+    const sample = JSON.parse(await fs.readFile(SAMPLE_WAR, 'utf8')).body
+    const lineup = (side, members) => ({ ...sample[side], members })
+
+    // #PQL0289: regular war in progress, CWL round 1 over (against #2PP)
+    await writeFixture('clans/PQL0289/currentwar', 200, {
+      ...sample,
+      clan: lineup('clan', [member('#PQ8', 2, 0), member('#PQ2', 1, 1), member('#PQ9', 3, 2)])
+    })
+    await writeFixture('clans/PQL0289/currentwar/leaguegroup', 200, {
+      state: 'inWar',
+      season: '2026-10',
+      clans: [],
+      rounds: [{ warTags: ['#8QJ2'] }, { warTags: ['#0'] }]
+    })
+    await writeFixture('clanwarleagues/wars/8QJ2', 200, {
+      ...sample,
+      state: 'warEnded',
+      attacksPerMember: 1,
+      warTag: '#8QJ2',
+      clan: lineup('clan', [member('#PQ2', 1, 1), member('#PQ8', 2, 0)]),
+      opponent: { ...lineup('opponent', [member('#YJ2', 1, 0), member('#YJ8', 2, 1)]), tag: '#2PP', name: 'Trinity Two' }
+    })
+
+    // #2PP: private war log, same CWL group
+    await writeFixture('clans/2PP/currentwar', 403, { reason: 'privateWarLog', message: 'Access denied' })
+    await writeFixture('clans/2PP/currentwar/leaguegroup', 200, {
+      state: 'inWar',
+      season: '2026-10',
+      clans: [],
+      rounds: [{ warTags: ['#8QJ2'] }]
+    })
+
+    // #YRG: both sections fail
+    await writeFixture('clans/YRG/currentwar', 403, { reason: 'privateWarLog', message: 'Access denied' })
+    await writeFixture('clans/YRG/currentwar/leaguegroup', 500, { reason: 'unknownException', message: 'Boom' })
+  })
+
+  after(async () => {
+    mock.restoreAll()
+    await fs.rm(process.env.FIXTURES_DIR, { recursive: true, force: true })
+  })
+
+  it('lists members with attacks left in the war and the CWL rounds, by map position', async () => {
+    const report = await getMissedAttacks('#PQL0289')
+
+    assert.deepEqual(summarize(report.war), {
+      type: 'regular',
+      round: null,
+      state: 'inWar',
+      attacksLeft: 3,
+      members: [['#PQ2', 1, 1], ['#PQ8', 0, 2]]
+    })
+    assert.equal(report.cwl.season, '2026-10')
+    assert.deepEqual(report.cwl.rounds.map(summarize), [{
+      type: 'cwl',
+      round: 1,
+      state: 'warEnded',
+      attacksLeft: 1,
+      members: [['#PQ8', 0, 1]]
+    }])
+    assert.equal(report.cwl.rounds[0].timeLeft, 0)
+    assert.deepEqual(report.errors, { war: null, cwl: null })
+  })
+
+  it('still reports the CWL rounds when the war log is private', async () => {
+    const report = await getMissedAttacks('#2PP')
+
+    assert.equal(report.war, null)
+    assert.deepEqual(report.errors.war, { code: 'PRIVATE_WAR_LOG', message: 'This clan\'s war log is private' })
+    assert.deepEqual(report.cwl.rounds.map(summarize), [{
+      type: 'cwl',
+      round: 1,
+      state: 'warEnded',
+      attacksLeft: 1,
+      members: [['#YJ2', 0, 1]]
+    }])
+  })
+
+  it('throws the war error when neither section can be fetched', async () => {
+    await assert.rejects(getMissedAttacks('#YRG'), (error) => {
+      assert.equal(error.code, 'PRIVATE_WAR_LOG')
+      return true
+    })
+  })
+})
@@ -0,0 +1,91 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { createRateLimiter } from '../services/rateLimiter.js'
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+/**
+ * Error the way the CoC client throws it
+ * @param {number} status - HTTP status
+ * @returns {Error} Error with status and reason
+ */
+const httpError = (status) => Object.assign(new Error(`HTTP ${status}`), { status, reason: `http${status}` })
+
+describe('rateLimiter', () => {
+  it('queues callers once the burst is spent and rejects them when the queue is full', async () => {
+    const limiter = createRateLimiter({ name: 'test', rate: 20, burst: 2, maxQueue: 1 })
+    const started = []
+    const run = (id) => limiter.schedule(async () => {
+      started.push(id)
+      return id
+    })
+
+    const calls = [run(1), run(2), run(3)]
+
+    const error = await run(4).catch(error => error)
+    assert.equal(error.reason, 'queueFull')
+
+    await sleep(0)
+    assert.deepEqual(started, [1, 2], 'the burst is sent right away, the third caller waits for a token')
+
+    assert.deepEqual(await Promise.all(calls), [1, 2, 3])
+    assert.equal(limiter.getStats().rejected, 1)
+  })
+
+  it('retries retryable failures with backoff and gives up after maxRetries', async () => {
+    const limiter = createRateLimiter({
+      name: 'test',
+      rate: 100,
+      burst: 10,
+      maxQueue: 10,
+      maxRetries: 2,
+      baseDelay: 10,
+      shouldRetry: (error) => error.status >= 500
+    })
+
+    let attempts = 0
+    const flaky = await limiter.schedule(async () => {
+      if (++attempts < 3) throw httpError(503)
+      return 'ok'
+    })
+    assert.equal(flaky, 'ok')
+
+    await assert.rejects(limiter.schedule(async () => { throw httpError(503) }), /HTTP 503/)
+    await assert.rejects(limiter.schedule(async () => { throw httpError(404) }), /HTTP 404/)
+
+    const stats = limiter.getStats()
+    assert.equal(stats.retries, 4, '2 for the flaky call, 2 before giving up, none for the 404')
+    assert.equal(stats.failures, 2)
+    assert.equal(stats.requests, 7)
+  })
+
+  it('pauses every caller for the delay requested by a 429', async () => {
+    const limiter = createRateLimiter({
+      name: 'test',
+      rate: 100,
+      burst: 10,
+      maxQueue: 10,
+      shouldRetry: (error) => error.status === 429,
+      getRetryAfter: (error) => error.status === 429 ? 150 : null
+    })
+
+    let throttled = true
+    const first = limiter.schedule(async () => {
+      if (throttled) {
+        throttled = false
+        throw httpError(429)
+      }
+      return 'retried'
+    })
+
+    await sleep(10)
+    assert.notEqual(limiter.getStats().pausedUntil, null)
+
+    const start = Date.now()
+    await limiter.schedule(async () => 'other')
+    assert.ok(Date.now() - start >= 100, 'a new caller waits for the pause to end')
+
+    assert.equal(await first, 'retried')
+    assert.equal(limiter.getStats().throttled, 1)
+  })
+})
@@ -0,0 +1,84 @@
+import { describe, it, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { promises as fs } from 'fs'
+import os from 'os'
+import path from 'path'
+import {
+  createRosterSnapshot,
+  diffRoster,
+  recordRosters,
+  getRosterEvents,
+  getLastRosterCapture
+} from '../services/rosterHistoryService.js'
+
+// Stores are loaded on first use, history goes to a temp directory
+process.env.DATA_DIR = path.join(os.tmpdir(), `trinity-roster-${process.pid}`)
+
+const AT = '2026-01-01T00:00:00.000Z'
+
+const clan = (tag, memberList) => ({ tag, name: `Clan ${tag}`, memberList })
+
+const member = (tag, name, role = 'member', townHallLevel = 15) => ({ tag, name, role, townHallLevel })
+
+describe('rosterHistoryService', () => {
+  after(() => fs.rm(process.env.DATA_DIR, { recursive: true, force: true }))
+
+  it('snapshots name, role and town hall per member', () => {
+    assert.deepEqual(createRosterSnapshot(clan('#2PP', [member('#P1', 'Alice', 'elder', 16)]), AT), {
+      name: 'Clan #2PP',
+      capturedAt: AT,
+      members: { '#P1': { name: 'Alice', role: 'elder', townHallLevel: 16 } }
+    })
+  })
+
+  it('reports joins, leaves, renames, promotions, demotions and upgrades', () => {
+    const previous = createRosterSnapshot(clan('#2PP', [
+      member('#P1', 'Alice', 'member', 14),
+      member('#P2', 'Bob', 'coLeader'),
+      member('#P3', 'Carol')
+    ]), AT)
+
+    const events = diffRoster(clan('#2PP', [
+      member('#P1', 'Alicia', 'elder', 15),
+      member('#P2', 'Bob', 'elder'),
+      member('#P4', 'Dave', 'member', 12)
+    ]), previous, AT)
+
+    assert.deepEqual(events.map(({ type, playerTag, from, to, direction }) => ({ type, playerTag, from, to, direction })), [
+      { type: 'name_change', playerTag: '#P1', from: 'Alice', to: 'Alicia', direction: undefined },
+      { type: 'role_change', playerTag: '#P1', from: 'member', to: 'elder', direction: 'promotion' },
+      { type: 'townhall_upgrade', playerTag: '#P1', from: 14, to: 15, direction: undefined },
+      { type: 'role_change', playerTag: '#P2', from: 'coLeader', to: 'elder', direction: 'demotion' },
+      { type: 'join', playerTag: '#P4', from: undefined, to: undefined, direction: undefined },
+      { type: 'leave', playerTag: '#P3', from: undefined, to: undefined, direction: undefined }
+    ])
+    assert.equal(events.find(event => event.type === 'leave').playerName, 'Carol')
+  })
+
+  it('reports nothing when the roster did not change', () => {
+    const roster = clan('#2PP', [member('#P1', 'Alice')])
+    assert.deepEqual(diffRoster(roster, createRosterSnapshot(roster, AT), AT), [])
+  })
+
+  it('sets a baseline first, then links moves between family clans', async () => {
+    assert.deepEqual(await recordRosters([
+      clan('#2PP', [member('#P1', 'Alice'), member('#P2', 'Bob')]),
+      clan('#QUV', [member('#P3', 'Carol')])
+    ]), { clans: 2, events: 0 })
+    assert.notEqual(await getLastRosterCapture('#2PP'), null)
+
+    assert.deepEqual(await recordRosters([
+      clan('#2PP', [member('#P2', 'Bob')]),
+      clan('#QUV', [member('#P3', 'Carol'), member('#P1', 'Alice')])
+    ]), { clans: 2, events: 2 })
+
+    const { total, events } = await getRosterEvents({ playerTag: '#P1' })
+    const leave = events.find(event => event.type === 'leave')
+    const join = events.find(event => event.type === 'join')
+
+    assert.equal(total, 2)
+    assert.equal(leave.toClanTag, '#QUV')
+    assert.equal(join.fromClanTag, '#2PP')
+    assert.equal((await getRosterEvents({ clanTag: '#QUV', types: ['leave'] })).total, 0)
+  })
+})
@@ -0,0 +1,104 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { createScheduledJob } from '../services/schedulerService.js'
+
+const START = Date.parse('2026-01-01T00:00:00Z')
+
+// Runs are async: let the run started by a timer settle
+const settle = () => new Promise(resolve => setImmediate(resolve))
+
+/**
+ * Advance the mocked clock and wait for the runs it triggered
+ * @param {number} ms - Milliseconds
+ */
+const advance = async (ms) => {
+  mock.timers.tick(ms)
+  await settle()
+}
+
+const delayOf = (job) => Date.parse(job.getStatus().nextRunAt) - Date.now()
+
+describe('schedulerService', () => {
+  beforeEach(() => {
+    mock.method(console, 'error', () => {})
+    mock.timers.enable({ apis: ['setTimeout', 'Date'], now: START })
+  })
+
+  afterEach(() => {
+    mock.timers.reset()
+    mock.restoreAll()
+  })
+
+  it('runs every interval once started and keeps the last result', async () => {
+    let runs = 0
+    const job = createScheduledJob({ name: 'test', interval: 10000, run: async () => ++runs })
+
+    job.start()
+    assert.equal(delayOf(job), 10000)
+
+    await advance(9999)
+    assert.equal(runs, 0)
+
+    await advance(1)
+    await advance(10000)
+    assert.equal(runs, 2)
+    assert.equal(job.getStatus().lastResult, 2)
+    assert.equal(job.getStatus().enabled, true)
+
+    job.stop()
+  })
+
+  it('backs off exponentially after failures, capped, and recovers after a success', async () => {
+    let failing = true
+    const job = createScheduledJob({
+      name: 'test',
+      interval: 10000,
+      maxBackoff: 30000,
+      run: async () => {
+        if (failing) throw new Error('down')
+      }
+    })
+
+    job.start(0)
+    await advance(0)
+    assert.equal(job.getStatus().consecutiveFailures, 1)
+    assert.equal(delayOf(job), 20000)
+
+    await advance(20000)
+    assert.equal(delayOf(job), 30000, 'capped at maxBackoff')
+
+    failing = false
+    await advance(30000)
+
+    const status = job.getStatus()
+    assert.equal(status.consecutiveFailures, 0)
+    assert.equal(status.failures, 2)
+    assert.equal(status.lastError, null)
+    assert.equal(delayOf(job), 10000)
+
+    job.stop()
+  })
+
+  it('stops scheduling runs once stopped', async () => {
+    let runs = 0
+    const job = createScheduledJob({ name: 'test', interval: 10000, run: async () => { runs++ } })
+
+    job.start()
+    job.stop()
+    await advance(50000)
+
+    assert.equal(runs, 0)
+    assert.equal(job.getStatus().nextRunAt, null)
+    assert.equal(job.getStatus().enabled, false)
+  })
+
+  it('shares a run in progress with runNow callers', async () => {
+    let runs = 0
+    const job = createScheduledJob({ name: 'test', interval: 10000, run: async () => { runs++ } })
+
+    await Promise.all([job.runNow(), job.runNow()])
+
+    assert.equal(runs, 1)
+    assert.equal(job.getStatus().runs, 1)
+  })
+})
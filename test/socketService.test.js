@@ -0,0 +1,269 @@
+import { describe, it, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { hashApiKey } from '../services/authService.js'
+import { attachSocketServer, getSocketRooms } from '../services/socketService.js'
+
+process.env.API_KEYS = [
+  `ops:admin:${hashApiKey('admin-key')}`,
+  `captain:leader:${hashApiKey('leader-key')}`,
+  `bot:viewer:${hashApiKey('viewer-key')}`
+].join(',')
+
+// Snapshots sent on join read the sample fixtures
+process.env.DATA_SOURCE = 'fixtures'
+
+/**
+ * Minimal Socket.IO server: keeps the middleware, the connection handler and the rooms
+ * @returns {Object} Fake server
+ */
+const createServer = () => {
+  const rooms = new Map()
+  const sockets = new Map()
+  const server = {
+    rooms,
+    sockets,
+    use: (fn) => { server.middleware = fn },
+    on: (event, fn) => { server.onConnection = fn },
+    of: () => ({ adapter: { rooms }, sockets })
+  }
+
+  return server
+}
+
+/**
+ * Minimal socket joining the fake server's rooms
+ * @param {Object} server - Fake server
+ * @param {string} id - Socket id
+ * @param {Object} handshake - { headers, auth }
+ * @returns {Object} Fake socket, send(event, ...args) runs an incoming event through the middlewares
+ */
+const createSocket = (server, id, handshake = {}) => {
+  const handlers = {}
+  const middlewares = []
+  const socket = {
+    id,
+    data: {},
+    handshake: { headers: {}, auth: {}, ...handshake },
+    rooms: new Set([id]),
+    emitted: [],
+    join: (room) => {
+      socket.rooms.add(room)
+      if (!server.rooms.has(room)) server.rooms.set(room, new Set())
+      server.rooms.get(room).add(id)
+    },
+    leave: (room) => {
+      socket.rooms.delete(room)
+      server.rooms.get(room)?.delete(id)
+      if (server.rooms.get(room)?.size === 0) server.rooms.delete(room)
+    },
+    on: (event, fn) => { handlers[event] = fn },
+    use: (fn) => middlewares.push(fn),
+    emit: (event, payload) => socket.emitted.push([event, payload]),
+    send: async (event, ...args) => {
+      let passed = false
+      middlewares.forEach(fn => fn([event, ...args], () => { passed = true }))
+      if (passed) await handlers[event](...args)
+    }
+  }
+
+  return socket
+}
+
+/**
+ * Run the handshake middleware and register the socket when accepted
+ * @returns {Error|undefined} Handshake error
+ */
+const connect = (server, socket) => {
+  let error
+  server.middleware(socket, (err) => { error = err })
+
+  if (!error) {
+    server.sockets.set(socket.id, socket)
+    server.onConnection(socket)
+  }
+
+  return error
+}
+
+/**
+ * Send an event with an acknowledgement callback
+ * @returns {Promise<Object>} Acknowledgement
+ */
+const request = async (socket, event, payload) => {
+  let response
+  await socket.send(event, payload, (ack) => { response = ack })
+  return response
+}
+
+describe('socketService', () => {
+  let server
+
+  beforeEach(() => {
+    delete process.env.SOCKET_MAX_SUBSCRIPTIONS
+    delete process.env.SOCKET_EVENT_RATE
+    delete process.env.SOCKET_EVENT_BURST
+    server = createServer()
+    attachSocketServer(server)
+  })
+
+  describe('handshake', () => {
+    it('accepts anonymous connections', () => {
+      const socket = createSocket(server, 'a')
+
+      assert.equal(connect(server, socket), undefined)
+      assert.equal(socket.data.auth, null)
+    })
+
+    it('authenticates auth.token, bearer and X-API-Key credentials', () => {
+      const handshakes = [
+        { auth: { token: 'admin-key' } },
+        { headers: { authorization: 'Bearer admin-key' } },
+        { headers: { 'x-api-key': 'admin-key' } }
+      ]
+
+      handshakes.forEach((handshake, index) => {
+        const socket = createSocket(server, `s${index}`, handshake)
+
+        assert.equal(connect(server, socket), undefined)
+        assert.equal(socket.data.auth.role, 'admin')
+      })
+    })
+
+    it('refuses invalid credentials with an error code', () => {
+      const error = connect(server, createSocket(server, 'a', { auth: { token: 'nope' } }))
+
+      assert.equal(error.code, 'UNAUTHORIZED')
+      assert.deepEqual(error.data, { code: 'UNAUTHORIZED' })
+    })
+  })
+
+  describe('subscriptions', () => {
+    it('joins the canonical room of a valid tag', async () => {
+      const socket = createSocket(server, 'a')
+      connect(server, socket)
+
+      assert.deepEqual(await request(socket, 'subscribe:clan', '2pp'),
+        { ok: true, event: 'subscribe:clan', room: 'clan:#2PP' })
+      assert.ok(socket.rooms.has('clan:#2PP'))
+
+      assert.equal((await request(socket, 'unsubscribe:clan', '#2pp')).ok, true)
+      assert.ok(!socket.rooms.has('clan:#2PP'))
+    })
+
+    it('rejects payloads that are not valid tags', async () => {
+      const socket = createSocket(server, 'a')
+      connect(server, socket)
+
+      for (const payload of [undefined, 42, { tag: '#2PP' }, '#ZZZ', '']) {
+        const response = await request(socket, 'subscribe:clan', payload)
+        assert.equal(response.code, 'VALIDATION_ERROR')
+      }
+
+      assert.deepEqual([...socket.rooms], ['a'])
+    })
+
+    it('emits subscription:error when no acknowledgement is given', async () => {
+      const socket = createSocket(server, 'a')
+      connect(server, socket)
+
+      await socket.send('subscribe:clan', 'not a tag')
+
+      assert.equal(socket.emitted[0][0], 'subscription:error')
+      assert.equal(socket.emitted[0][1].code, 'VALIDATION_ERROR')
+    })
+
+    it('limits the rooms per connection', async () => {
+      process.env.SOCKET_MAX_SUBSCRIPTIONS = '2'
+      const socket = createSocket(server, 'a')
+      connect(server, socket)
+
+      assert.equal((await request(socket, 'subscribe:clan', '#2PP')).ok, true)
+      assert.equal((await request(socket, 'subscribe:clan', '#8QU8J9LP')).ok, true)
+      assert.equal((await request(socket, 'subscribe:clan', '#2PP')).ok, true, 'rejoining is not a new room')
+
+      const response = await request(socket, 'subscribe:clan', '#2Y2Y')
+      assert.equal(response.code, 'VALIDATION_ERROR')
+      assert.match(response.message, /limit/)
+    })
+
+    it('leaves the room when the join snapshot fails', async () => {
+      const socket = createSocket(server, 'a')
+      connect(server, socket)
+
+      // Not in the fixtures: the war API answers 404
+      const response = await request(socket, 'subscribe:war', '#2PP')
+
+      assert.equal(response.code, 'NOT_FOUND')
+      assert.ok(!socket.rooms.has('war:#2PP'))
+    })
+
+    it('drops events over the per-connection rate', async () => {
+      process.env.SOCKET_EVENT_RATE = '1'
+      process.env.SOCKET_EVENT_BURST = '3'
+      const socket = createSocket(server, 'a')
+      connect(server, socket)
+
+      const responses = []
+      for (let i = 0; i < 5; i++) {
+        responses.push(await request(socket, 'subscribe:clan', '#2PP'))
+      }
+
+      assert.deepEqual(responses.map(response => response.ok), [true, true, true, false, false])
+      assert.equal(responses[4].code, 'RATE_LIMITED')
+    })
+  })
+
+  describe('leader channels', () => {
+    it('refuse anonymous sockets', async () => {
+      const socket = createSocket(server, 'a')
+      connect(server, socket)
+
+      const response = await request(socket, 'subscribe:missed', '#PQL0289')
+
+      assert.equal(response.code, 'UNAUTHORIZED')
+      assert.ok(!socket.rooms.has('missed:#PQL0289'))
+    })
+
+    it('refuse credentials below the leader role', async () => {
+      const socket = createSocket(server, 'a', { auth: { token: 'viewer-key' } })
+      connect(server, socket)
+
+      const response = await request(socket, 'subscribe:missed', '#PQL0289')
+
+      assert.equal(response.code, 'FORBIDDEN')
+      assert.ok(!socket.rooms.has('missed:#PQL0289'))
+    })
+
+    it('accept leaders and send the snapshot', async () => {
+      const socket = createSocket(server, 'a', { auth: { token: 'leader-key' } })
+      connect(server, socket)
+
+      const response = await request(socket, 'subscribe:missed', '#PQL0289')
+
+      assert.deepEqual(response, { ok: true, event: 'subscribe:missed', room: 'missed:#PQL0289' })
+      assert.equal(socket.emitted[0][0], 'missed:snapshot')
+      assert.equal(socket.emitted[0][1].clanTag, '#PQL0289')
+    })
+  })
+
+  describe('getSocketRooms', () => {
+    it('lists channel rooms with their listeners, busiest first', async () => {
+      const first = createSocket(server, 'a')
+      const second = createSocket(server, 'b')
+      connect(server, first)
+      connect(server, second)
+
+      await request(first, 'subscribe:clan', '#8QU8J9LP')
+      await request(first, 'subscribe:clan', '#2PP')
+      await request(second, 'subscribe:clan', '#2PP')
+
+      assert.deepEqual(getSocketRooms(), {
+        connections: 2,
+        rooms: [
+          { room: 'clan:#2PP', channel: 'clan', clanTag: '#2PP', listeners: 2 },
+          { room: 'clan:#8QU8J9LP', channel: 'clan', clanTag: '#8QU8J9LP', listeners: 1 }
+        ]
+      })
+    })
+  })
+})
@@ -0,0 +1,38 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { normalizeTag, isValidTag, parseTag, partitionTags } from '../utils/tags.js'
+import { ValidationError } from '../utils/errors.js'
+
+describe('tags', () => {
+  it('canonicalizes encoded, spaced, lowercase tags and typed O', () => {
+    assert.equal(normalizeTag('%232pp'), '#2PP')
+    assert.equal(normalizeTag(' 2 pp '), '#2PP')
+    assert.equal(normalizeTag('##pqlo289'), '#PQL0289')
+    assert.equal(normalizeTag('#2PP%'), '#2PP%', 'a stray % is kept as is')
+    assert.equal(normalizeTag(undefined), '#')
+  })
+
+  it('only accepts the characters used by CoC tags', () => {
+    assert.equal(isValidTag('#PQL0289'), true)
+    assert.equal(isValidTag('pqlo289'), true)
+    assert.equal(isValidTag('#ABC'), false)
+    assert.equal(isValidTag('#2P'), false, 'too short')
+    assert.equal(isValidTag(''), false)
+  })
+
+  it('parseTag returns the canonical tag or throws a ValidationError', () => {
+    assert.equal(parseTag('%23pql0289'), '#PQL0289')
+    assert.throws(() => parseTag('#ABC', 'clanTag'), (error) => {
+      assert.ok(error instanceof ValidationError)
+      assert.match(error.message, /Invalid clanTag "#ABC"/)
+      return true
+    })
+  })
+
+  it('partitionTags dedupes valid tags and keeps the rejected raw tags', () => {
+    assert.deepEqual(partitionTags(['#2pp', '2PP', '#PQLO289', '#ABC', '']), {
+      valid: ['#2PP', '#PQL0289'],
+      invalid: ['#ABC', '']
+    })
+  })
+})
@@ -0,0 +1,86 @@
+import { describe, it, before, after, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { promises as fs } from 'fs'
+import os from 'os'
+import path from 'path'
+import { recordTrends, getClanTrends, getFamilyTrends } from '../services/trendsService.js'
+
+// Trends go to a temp directory, the family comes from the sample sheet fixture
+process.env.DATA_DIR = path.join(os.tmpdir(), `trinity-trends-${process.pid}`)
+process.env.DATA_SOURCE = 'fixtures'
+
+const at = (iso) => mock.timers.setTime(Date.parse(iso))
+
+const clan = (tag, clanPoints, clanLevel, warLeagueId) => ({
+  tag,
+  name: `Clan ${tag}`,
+  clanPoints,
+  clanLevel,
+  clanCapitalLevel: 5,
+  warWins: 100,
+  warLeague: { id: warLeagueId, name: `League ${warLeagueId}` },
+  members: 40
+})
+
+const values = (series) => series.map(point => [point.at, point.value])
+
+describe('trendsService', () => {
+  before(async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-01-05T10:00:00Z') })
+
+    // 2026-01-05 is a Monday
+    at('2026-01-05T10:00:00Z')
+    await recordTrends([clan('#PQL0289', 1000, 20, 48000010), clan('#QUV8RG2', 500, 10, 48000005)])
+
+    at('2026-01-05T20:00:00Z')
+    await recordTrends([clan('#PQL0289', 1100, 20, 48000010), clan('#QUV8RG2', 500, 10, 48000005)])
+
+    at('2026-01-06T10:00:00Z')
+    await recordTrends([clan('#PQL0289', 1200, 21, 48000011)])
+  })
+
+  after(async () => {
+    mock.timers.reset()
+    await fs.rm(process.env.DATA_DIR, { recursive: true, force: true })
+  })
+
+  it('samples a clan at most once per sample interval', async () => {
+    at('2026-01-06T10:30:00Z')
+    assert.deepEqual(await recordTrends([clan('#PQL0289', 9999, 21, 48000011)]), { clans: 1, samples: 0 })
+  })
+
+  it('keeps the last value of each bucket', async () => {
+    const trends = await getClanTrends('#PQL0289', { metrics: ['clanPoints'] })
+
+    assert.equal(trends.samples, 3)
+    assert.deepEqual(values(trends.series.clanPoints), [
+      ['2026-01-05T00:00:00.000Z', 1100],
+      ['2026-01-06T00:00:00.000Z', 1200]
+    ])
+    assert.deepEqual(trends.labels, {})
+  })
+
+  it('starts week buckets on Monday and filters samples by date', async () => {
+    const weekly = await getClanTrends('#PQL0289', { metrics: ['clanPoints'], interval: 'week' })
+    assert.deepEqual(values(weekly.series.clanPoints), [['2026-01-05T00:00:00.000Z', 1200]])
+
+    const hourly = await getClanTrends('#PQL0289', { metrics: ['clanPoints'], interval: 'hour', from: new Date('2026-01-05T12:00:00Z') })
+    assert.deepEqual(values(hourly.series.clanPoints), [
+      ['2026-01-05T20:00:00.000Z', 1100],
+      ['2026-01-06T10:00:00.000Z', 1200]
+    ])
+
+    assert.equal(await getClanTrends('#2PP'), null)
+  })
+
+  it('combines the family clans per bucket', async () => {
+    const { clanTags, series, labels } = await getFamilyTrends({ metrics: ['clanPoints', 'clanLevel', 'warLeague'] })
+
+    assert.deepEqual(clanTags, ['#PQL0289', '#QUV8RG2'])
+    assert.deepEqual(values(series.clanPoints), [['2026-01-05T00:00:00.000Z', 1600], ['2026-01-06T00:00:00.000Z', 1200]])
+    assert.deepEqual(values(series.clanLevel), [['2026-01-05T00:00:00.000Z', 15], ['2026-01-06T00:00:00.000Z', 21]])
+    assert.deepEqual(values(series.warLeague), [['2026-01-05T00:00:00.000Z', 48000010], ['2026-01-06T00:00:00.000Z', 48000011]])
+    assert.deepEqual(values(series.clans), [['2026-01-05T00:00:00.000Z', 2], ['2026-01-06T00:00:00.000Z', 1]])
+    assert.equal(labels.warLeague[48000005], 'League 48000005')
+  })
+})
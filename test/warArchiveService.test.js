@@ -0,0 +1,117 @@
+import { describe, it, before, after, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { promises as fs } from 'fs'
+import os from 'os'
+import path from 'path'
+import {
+  recordCurrentWar,
+  recordCWLWars,
+  findWars,
+  getWars,
+  getWar,
+  flattenAttacks
+} from '../services/warArchiveService.js'
+
+// Stores are loaded on first use, wars go to a temp directory
+process.env.DATA_DIR = path.join(os.tmpdir(), `trinity-wars-${process.pid}`)
+
+/**
+ * Formatted war seen from a family clan, one member per side
+ * @param {Object} options - War fields to set
+ * @returns {Object} War like getCurrentWar returns it
+ */
+const war = ({ clanTag = '#2PP', opponentTag, opponentName, day, state = 'warEnded', stars = [3, 2], warTag }) => ({
+  state,
+  teamSize: 1,
+  attacksPerMember: 2,
+  warTag,
+  preparationStartTime: `2026-01-${day}T00:00:00.000Z`,
+  startTime: `2026-01-${day}T23:00:00.000Z`,
+  endTime: `2026-01-${day + 1}T23:00:00.000Z`,
+  clan: {
+    tag: clanTag,
+    name: `Clan ${clanTag}`,
+    stars: stars[0],
+    destructionPercentage: 100,
+    members: [{ tag: '#P1', name: 'Alice', mapPosition: 1, townHallLevel: 16, attacks: [{ order: 2, defenderTag: '#O1', stars: stars[0], destruction: 100, duration: 90 }] }]
+  },
+  opponent: {
+    tag: opponentTag,
+    name: opponentName,
+    stars: stars[1],
+    destructionPercentage: 80,
+    members: [{ tag: '#O1', name: 'Oscar', mapPosition: 1, townHallLevel: 16, attacks: [{ order: 1, defenderTag: '#P1', stars: stars[1], destruction: 80, duration: 120 }] }]
+  }
+})
+
+describe('warArchiveService', () => {
+  before(async () => {
+    // Archive logs are noise here (and emoji output can trip the runner's parser)
+    mock.method(console, 'log', () => {})
+
+    await recordCurrentWar('#2PP', war({ opponentTag: '#QUV', opponentName: 'Rivals', day: 10 }))
+    await recordCurrentWar('#2PP', war({ opponentTag: '#YRG', opponentName: 'LOL2', day: 12, stars: [1, 3] }))
+    await recordCWLWars('#2PP', [
+      { ...war({ opponentTag: '#QUV', opponentName: 'Rivals', day: 14, warTag: '#8QJ2' }), round: 1 },
+      { ...war({ opponentTag: '#CCC', opponentName: 'Next', day: 15, state: 'inWar', warTag: '#8QJ3' }), round: 2 }
+    ], '2026-01')
+  })
+
+  after(async () => {
+    mock.restoreAll()
+    await fs.rm(process.env.DATA_DIR, { recursive: true, force: true })
+  })
+
+  it('lists attacks of both clans in order with both players', () => {
+    const attacks = flattenAttacks(war({ opponentTag: '#QUV', opponentName: 'Rivals', day: 10 }))
+
+    assert.deepEqual(attacks.map(attack => [attack.order, attack.attackerName, attack.defenderName]), [
+      [1, 'Oscar', 'Alice'],
+      [2, 'Alice', 'Oscar']
+    ])
+    assert.equal(attacks[0].attackerClanTag, '#QUV')
+  })
+
+  it('archives ended wars only, newest first, with their result', async () => {
+    const wars = await findWars()
+
+    assert.deepEqual(wars.map(archived => [archived.id, archived.type, archived.result]), [
+      ['2PP-8QJ2', 'cwl', 'win'],
+      ['2PP-20260112T000000Z', 'regular', 'lose'],
+      ['2PP-20260110T000000Z', 'regular', 'win']
+    ])
+    assert.equal((await getWar('2PP-8QJ2')).round, 1)
+  })
+
+  it('filters by opponent tag or name, result, type and end date', async () => {
+    const ids = async (filters) => (await findWars(filters)).map(archived => archived.id)
+
+    assert.deepEqual(await ids({ opponent: 'quv' }), ['2PP-8QJ2', '2PP-20260110T000000Z'])
+    assert.deepEqual(await ids({ opponent: 'riv' }), ['2PP-8QJ2', '2PP-20260110T000000Z'])
+    assert.deepEqual(await ids({ opponent: 'lol2' }), ['2PP-20260112T000000Z'], 'a name that looks like a tag still matches')
+    assert.deepEqual(await ids({ result: 'lose' }), ['2PP-20260112T000000Z'])
+    assert.deepEqual(await ids({ type: 'cwl' }), ['2PP-8QJ2'])
+    assert.deepEqual(await ids({ from: new Date('2026-01-12T00:00:00Z'), to: new Date('2026-01-14T00:00:00Z') }), ['2PP-20260112T000000Z'])
+    assert.deepEqual(await ids({ clanTag: '#QUV' }), [])
+  })
+
+  it('summarizes wars without lineups or attacks and honours the limit', async () => {
+    const { total, wars } = await getWars({ limit: 1 })
+
+    assert.equal(total, 3)
+    assert.equal(wars.length, 1)
+    assert.equal(wars[0].attacks, undefined)
+    assert.equal(wars[0].clan.members, 1)
+  })
+
+  it('archives an unseen war end as incomplete and never replaces a complete war', async () => {
+    const live = war({ clanTag: '#QUV', opponentTag: '#2PP', opponentName: 'Trinity', day: 20, state: 'inWar' })
+
+    assert.equal(await recordCurrentWar('#QUV', live), 0)
+    assert.equal(await recordCurrentWar('#QUV', { state: 'notInWar' }), 1)
+    assert.equal((await getWar('QUV-20260120T000000Z')).complete, false)
+
+    assert.equal(await recordCurrentWar('#2PP', war({ opponentTag: '#QUV', opponentName: 'Rivals', day: 10, stars: [0, 3] })), 0)
+    assert.equal((await getWar('2PP-20260110T000000Z')).result, 'win')
+  })
+})
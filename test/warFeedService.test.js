@@ -0,0 +1,88 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { promises as fs } from 'fs'
+import os from 'os'
+import path from 'path'
+import { sendWarSnapshot } from '../services/warFeedService.js'
+
+// Wars come from a temp copy of the sample fixture with a scripted list of attacks
+process.env.DATA_SOURCE = 'fixtures'
+process.env.FIXTURES_DIR = path.join(os.tmpdir(), `trinity-war-feed-${process.pid}`)
+
+const SAMPLE_WAR = new URL('../fixtures/coc/clans/PQL0289/currentwar.json', import.meta.url)
+
+const attack = (order, attackerTag, defenderTag, stars, destructionPercentage) => ({
+  order, attackerTag, defenderTag, stars, destructionPercentage, duration: 120
+})
+
+const member = (tag, mapPosition, attacks = []) => ({
+  tag, name: `Player ${tag}`, townhallLevel: 16, mapPosition, opponentAttacks: 0, attacks
+})
+
+/**
+ * Write the fixture of a 2v2 war where both clan members hit the same base
+ */
+const writeWarFixture = async () => {
+  const fixture = JSON.parse(await fs.readFile(SAMPLE_WAR, 'utf8'))
+
+  fixture.body.teamSize = 2
+  fixture.body.clan.members = [
+    member('#PQ2', 1, [attack(1, '#PQ2', '#YJ2', 2, 60), attack(4, '#PQ2', '#YJ8', 1, 33.34)]),
+    member('#PQ8', 2, [attack(3, '#PQ8', '#YJ2', 3, 100), attack(5, '#PQ8', '#YJ8', 1, 20)])
+  ]
+  fixture.body.opponent.members = [
+    member('#YJ2', 1, [attack(2, '#YJ2', '#PQ2', 3, 100)]),
+    member('#YJ8', 2)
+  ]
+
+  const file = path.join(process.env.FIXTURES_DIR, 'coc', 'clans', 'PQL0289', 'currentwar.json')
+  await fs.mkdir(path.dirname(file), { recursive: true })
+  await fs.writeFile(file, JSON.stringify(fixture))
+}
+
+describe('warFeedService', () => {
+  before(writeWarFixture)
+  after(() => fs.rm(process.env.FIXTURES_DIR, { recursive: true, force: true }))
+
+  it('replays the attacks with the running score, counting only what beats a base\'s best attack', async () => {
+    const events = []
+    await sendWarSnapshot({ emit: (event, payload) => events.push([event, payload]) }, '#PQL0289')
+
+    const [[event, { war, attacks }]] = events
+    assert.equal(event, 'war:snapshot')
+    assert.equal(war.type, 'regular')
+
+    assert.deepEqual(attacks.map(({ order, side, newStars, score }) => ({ order, side, newStars, score })), [
+      {
+        order: 1,
+        side: 'clan',
+        newStars: 2,
+        score: { clan: { stars: 2, destruction: 30, attacks: 1 }, opponent: { stars: 0, destruction: 0, attacks: 0 } }
+      },
+      {
+        order: 2,
+        side: 'opponent',
+        newStars: 3,
+        score: { clan: { stars: 2, destruction: 30, attacks: 1 }, opponent: { stars: 3, destruction: 50, attacks: 1 } }
+      },
+      {
+        order: 3,
+        side: 'clan',
+        newStars: 1,
+        score: { clan: { stars: 3, destruction: 50, attacks: 2 }, opponent: { stars: 3, destruction: 50, attacks: 1 } }
+      },
+      {
+        order: 4,
+        side: 'clan',
+        newStars: 1,
+        score: { clan: { stars: 4, destruction: 66.67, attacks: 3 }, opponent: { stars: 3, destruction: 50, attacks: 1 } }
+      },
+      {
+        order: 5,
+        side: 'clan',
+        newStars: 0,
+        score: { clan: { stars: 4, destruction: 66.67, attacks: 4 }, opponent: { stars: 3, destruction: 50, attacks: 1 } }
+      }
+    ])
+  })
+})
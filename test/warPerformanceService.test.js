@@ -0,0 +1,98 @@
+import { describe, it, before, after, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { promises as fs } from 'fs'
+import os from 'os'
+import path from 'path'
+import { recordCurrentWar } from '../services/warArchiveService.js'
+import { getWarPerformance } from '../services/warPerformanceService.js'
+
+// Stores are loaded on first use, wars go to a temp directory
+process.env.DATA_DIR = path.join(os.tmpdir(), `trinity-performance-${process.pid}`)
+
+const OPPONENTS = [
+  { tag: '#O1', name: 'Oscar', mapPosition: 1, townHallLevel: 16, attacks: [] },
+  { tag: '#O2', name: 'Olga', mapPosition: 2, townHallLevel: 14, attacks: [] }
+]
+
+let order = 0
+
+const hit = (defenderTag, stars, destruction) => ({ order: ++order, defenderTag, stars, destruction, duration: 120 })
+
+const member = (tag, name, townHallLevel, attacks = []) => ({ tag, name, mapPosition: 1, townHallLevel, attacks })
+
+/**
+ * Regular war of #2PP against two opponents
+ * @param {number} day - Day of January 2026 the war is prepared
+ * @param {string} state - War state
+ * @param {Array<Object>} members - Family clan members with their attacks
+ * @returns {Object} War like getCurrentWar returns it
+ */
+const war = (day, state, members) => ({
+  state,
+  teamSize: 2,
+  attacksPerMember: 2,
+  preparationStartTime: `2026-01-${day}T00:00:00.000Z`,
+  startTime: `2026-01-${day}T23:00:00.000Z`,
+  endTime: `2026-01-${day + 1}T23:00:00.000Z`,
+  clan: { tag: '#2PP', name: 'Trinity', stars: 6, destructionPercentage: 90, members },
+  opponent: { tag: '#QUV', name: 'Rivals', stars: 0, destructionPercentage: 0, members: OPPONENTS }
+})
+
+const byTag = (members) => Object.fromEntries(members.map(member => [member.tag, member]))
+
+describe('warPerformanceService', () => {
+  before(async () => {
+    mock.method(console, 'log', () => {})
+
+    await recordCurrentWar('#2PP', war(10, 'warEnded', [
+      member('#P1', 'Alice', 15, [hit('#O1', 3, 100), hit('#O2', 2, 80)]),
+      member('#P2', 'Bob', 14, [hit('#O2', 3, 100)])
+    ]))
+    await recordCurrentWar('#2PP', war(12, 'warEnded', [
+      member('#P1', 'Alicia', 16, [hit('#O1', 1, 50)]),
+      member('#P3', 'Carol', 13)
+    ]))
+
+    // Seen in progress only: archived as incomplete, left out of the stats
+    await recordCurrentWar('#2PP', war(14, 'inWar', [member('#P1', 'Alicia', 16, [hit('#O1', 3, 100)])]))
+    await recordCurrentWar('#2PP', { state: 'notInWar' })
+  })
+
+  after(async () => {
+    mock.restoreAll()
+    await fs.rm(process.env.DATA_DIR, { recursive: true, force: true })
+  })
+
+  it('totals attacks per member over complete wars, with the latest name and town hall', async () => {
+    const { wars, members } = await getWarPerformance()
+    const { '#P1': alice, '#P2': bob, '#P3': carol } = byTag(members)
+
+    assert.equal(wars, 2)
+    assert.deepEqual(
+      [alice.name, alice.townHallLevel, alice.wars, alice.attacksAvailable, alice.attacksUsed, alice.attackUsage, alice.stars],
+      ['Alicia', 16, 2, 4, 3, 75, 6]
+    )
+    assert.deepEqual([alice.averageStars, alice.threeStarRate, alice.averageDestruction], [2, 33.33, 76.67])
+    assert.deepEqual([bob.attacksUsed, bob.attackUsage, bob.averageStars], [1, 50, 3])
+    assert.deepEqual([carol.attacksUsed, carol.attackUsage, carol.averageStars], [0, 0, 0])
+  })
+
+  it('splits attacks by town hall difference', async () => {
+    const { '#P1': alice } = byTag((await getWarPerformance()).members)
+
+    assert.deepEqual([alice.hitsUp, alice.hitsEven, alice.hitsDown], [1, 1, 1])
+    assert.deepEqual(alice.byTownHallDifference.map(group => [group.difference, group.attacks, group.averageStars]), [
+      [1, 1, 3],
+      [0, 1, 1],
+      [-1, 1, 2]
+    ])
+  })
+
+  it('ranks members by the requested metric and order', async () => {
+    const ranking = async (filters) => (await getWarPerformance(filters)).members.map(member => [member.rank, member.tag])
+
+    assert.deepEqual(await ranking(), [[1, '#P2'], [2, '#P1'], [3, '#P3']])
+    assert.deepEqual(await ranking({ sort: 'attacksUsed', order: 'asc' }), [[1, '#P3'], [2, '#P2'], [3, '#P1']])
+    assert.deepEqual(await ranking({ type: 'cwl' }), [])
+  })
+})
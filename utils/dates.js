@@ -0,0 +1,60 @@
+import { ValidationError } from './errors.js'
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Parse a date query parameter (ISO date or date-time)
+ * @param {string} value - Raw value, empty means "no bound"
+ * @param {string} label - Parameter name used in the error message
+ * @param {Object} options - { endOfDay: a plain date means the end of that day }
+ * @returns {Date|null} Parsed date or null
+ * @throws {ValidationError} If the value isn't a valid date
+ */
+export const parseDateParam = (value, label, { endOfDay = false } = {}) => {
+  if (value === undefined || value === null || value === '') {
+    return null
+  }
+
+  const date = new Date(value)
+
+  if (Number.isNaN(date.getTime())) {
+    throw new ValidationError(`${label} must be an ISO date (YYYY-MM-DD) or date-time`)
+  }
+
+  // "to=2026-10-19" should include the whole day
+  if (endOfDay && DATE_ONLY.test(value)) {
+    return new Date(date.getTime() + DAY_MS - 1)
+  }
+
+  return date
+}
+
+/**
+ * Parse the from/to query parameters
+ * @param {Object} query - Express req.query
+ * @returns {{ from: Date|null, to: Date|null }} Date range (null = unbounded)
+ * @throws {ValidationError} If a date is invalid or from is after to
+ */
+export const parseDateRange = (query) => {
+  const from = parseDateParam(query.from, 'from')
+  const to = parseDateParam(query.to, 'to', { endOfDay: true })
+
+  if (from && to && from > to) {
+    throw new ValidationError('from must be before to')
+  }
+
+  return { from, to }
+}
+
+/**
+ * Check whether a timestamp falls inside a date range
+ * @param {string|Date} timestamp - ISO string or Date
+ * @param {{ from: Date|null, to: Date|null }} range - Date range
+ * @returns {boolean} True if inside the range
+ */
+export const isInRange = (timestamp, { from, to }) => {
+  const time = new Date(timestamp).getTime()
+
+  return (!from || time >= from.getTime()) && (!to || time <= to.getTime())
+}
@@ -0,0 +1,78 @@
+/**
+ * Base class for errors that map to an HTTP response
+ * `code` is a stable identifier clients can switch on, `message` is for humans
+ */
+export class AppError extends Error {
+  /**
+   * @param {string} message - Human readable message
+   * @param {number} status - HTTP status code
+   * @param {string} code - Stable error code (e.g. "NOT_FOUND")
+   * @param {Object} details - Extra fields added to the response (optional)
+   */
+  constructor(message, status = 500, code = 'INTERNAL_ERROR', details = null) {
+    super(message)
+    this.name = this.constructor.name
+    this.status = status
+    this.code = code
+    this.details = details
+  }
+}
+
+export class ValidationError extends AppError {
+  constructor(message = 'Invalid request', details = null) {
+    super(message, 400, 'VALIDATION_ERROR', details)
+  }
+}
+
+export class UnauthorizedError extends AppError {
+  constructor(message = 'Authentication is required') {
+    super(message, 401, 'UNAUTHORIZED')
+  }
+}
+
+export class ForbiddenError extends AppError {
+  constructor(message = 'You are not allowed to do this') {
+    super(message, 403, 'FORBIDDEN')
+  }
+}
+
+export class NotFoundError extends AppError {
+  constructor(message = 'Resource not found') {
+    super(message, 404, 'NOT_FOUND')
+  }
+}
+
+export class PrivateWarLogError extends AppError {
+  constructor(message = 'This clan\'s war log is private') {
+    super(message, 403, 'PRIVATE_WAR_LOG')
+  }
+}
+
+export class RateLimitedError extends AppError {
+  /**
+   * @param {string} message - Human readable message
+   * @param {number} retryAfter - Seconds the client should wait (optional)
+   */
+  constructor(message = 'Too many requests, try again later', retryAfter = null) {
+    super(message, 429, 'RATE_LIMITED', retryAfter ? { retryAfter } : null)
+    this.retryAfter = retryAfter
+  }
+}
+
+export class UpstreamError extends AppError {
+  constructor(message = 'Upstream service failed', code = 'UPSTREAM_ERROR') {
+    super(message, 502, code)
+  }
+}
+
+export class MaintenanceError extends AppError {
+  constructor(message = 'Clash of Clans API is under maintenance') {
+    super(message, 503, 'MAINTENANCE')
+  }
+}
+
+export class UpstreamTimeoutError extends AppError {
+  constructor(message = 'Upstream service timed out') {
+    super(message, 504, 'UPSTREAM_TIMEOUT')
+  }
+}
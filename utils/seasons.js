@@ -0,0 +1,51 @@
+import { ValidationError } from './errors.js'
+
+const SEASON_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/
+
+/**
+ * Get the end of a season: the last Monday of its month at 05:00 UTC
+ * @param {string} seasonId - Season ("YYYY-MM")
+ * @returns {Date} Season end
+ */
+export const getSeasonEnd = (seasonId) => {
+  const [year, month] = seasonId.split('-').map(Number)
+
+  // Day 0 of the next month is the last day of this month
+  const lastDay = new Date(Date.UTC(year, month, 0, 5))
+  const daysSinceMonday = (lastDay.getUTCDay() + 6) % 7
+
+  return new Date(lastDay.getTime() - daysSinceMonday * 24 * 60 * 60 * 1000)
+}
+
+/**
+ * Get the season a date belongs to
+ * A season is named after the month it ends in (like the CoC API does)
+ * @param {Date} date - Date (default: now)
+ * @returns {string} Season ("YYYY-MM")
+ */
+export const getSeasonId = (date = new Date()) => {
+  const year = date.getUTCFullYear()
+  const month = date.getUTCMonth() + 1
+  const seasonId = `${year}-${String(month).padStart(2, '0')}`
+
+  if (date < getSeasonEnd(seasonId)) {
+    return seasonId
+  }
+
+  return month === 12 ? `${year + 1}-01` : `${year}-${String(month + 1).padStart(2, '0')}`
+}
+
+/**
+ * Validate a season query parameter
+ * @param {string} value - Raw value
+ * @param {string} label - Parameter name used in the error message
+ * @returns {string} Season ("YYYY-MM")
+ * @throws {ValidationError} If the value isn't "YYYY-MM"
+ */
+export const parseSeasonId = (value, label = 'season') => {
+  if (!SEASON_PATTERN.test(value)) {
+    throw new ValidationError(`${label} must be formatted as YYYY-MM`)
+  }
+
+  return value
+}
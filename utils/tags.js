@@ -0,0 +1,68 @@
+import { ValidationError } from './errors.js'
+
+// Characters used by Clash of Clans tags (no O, so a typed O is always a zero)
+const TAG_PATTERN = /^#[0289PYLQGRJCUV]{3,14}$/
+
+/**
+ * Canonicalize a player/clan/war tag
+ * Decodes "%23", removes whitespace, uppercases, turns O into 0 and adds the "#"
+ * @param {string} tag - Raw tag
+ * @returns {string} Canonical tag (not validated, see isValidTag)
+ */
+export const normalizeTag = (tag) => {
+  let value = String(tag ?? '')
+
+  try {
+    value = decodeURIComponent(value)
+  } catch {
+    // Not URI encoded (e.g. a stray "%"), keep as is
+  }
+
+  value = value.replace(/\s+/g, '').toUpperCase().replace(/O/g, '0').replace(/^#+/, '')
+
+  return `#${value}`
+}
+
+/**
+ * Check that a tag is a well-formed CoC tag once canonicalized
+ * @param {string} tag - Raw tag
+ * @returns {boolean} True if valid
+ */
+export const isValidTag = (tag) => TAG_PATTERN.test(normalizeTag(tag))
+
+/**
+ * Canonicalize a tag and reject invalid ones
+ * @param {string} tag - Raw tag
+ * @param {string} label - Name used in the error message (e.g. "clanTag")
+ * @returns {string} Canonical tag
+ * @throws {ValidationError} If the tag is not a valid CoC tag
+ */
+export const parseTag = (tag, label = 'tag') => {
+  const normalized = normalizeTag(tag)
+
+  if (!TAG_PATTERN.test(normalized)) {
+    throw new ValidationError(`Invalid ${label} "${tag}": tags only use the characters 0289PYLQGRJCUV`)
+  }
+
+  return normalized
+}
+
+/**
+ * Canonicalize a list of tags, dropping invalid ones and duplicates
+ * @param {Array<string>} tags - Raw tags
+ * @returns {{ valid: Array<string>, invalid: Array<string> }} Canonical valid tags and the rejected raw tags
+ */
+export const partitionTags = (tags) => {
+  const valid = new Set()
+  const invalid = []
+
+  for (const tag of tags) {
+    if (isValidTag(tag)) {
+      valid.add(normalizeTag(tag))
+    } else {
+      invalid.push(tag)
+    }
+  }
+
+  return { valid: [...valid], invalid }
+}